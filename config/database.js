@@ -15,9 +15,10 @@ pool.on('connect', () => {
   console.log('Database connected successfully');
 });
 
+// An idle client failed (e.g. the database restarted). The pool drops it and
+// connects a new one when needed; buffered ingestion retries meanwhile.
 pool.on('error', (err) => {
   console.error('Unexpected database error:', err);
-  process.exit(-1);
 });
 
 module.exports = {
@@ -0,0 +1,97 @@
+-- Migrate an existing unpartitioned analytics_events table to monthly range
+-- partitions. Run once with: psql -f db/migrations/001_partition_analytics_events.sql
+-- The old table is kept as analytics_events_unpartitioned; drop it after
+-- verifying the row counts match.
+
+BEGIN;
+
+ALTER TABLE analytics_events RENAME TO analytics_events_unpartitioned;
+ALTER INDEX IF EXISTS analytics_events_pkey RENAME TO analytics_events_unpartitioned_pkey;
+DROP INDEX IF EXISTS idx_analytics_events_app_id_timestamp;
+DROP INDEX IF EXISTS idx_analytics_events_app_id_event_name;
+DROP INDEX IF EXISTS idx_analytics_events_app_id_visitor_id;
+DROP INDEX IF EXISTS idx_analytics_events_app_id_ip_address;
+DROP INDEX IF EXISTS idx_analytics_events_user_id;
+
+-- Tables older than these columns get them empty, so the copy below can name them
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS visitor_id VARCHAR(32);
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS browser VARCHAR(50);
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS browser_version VARCHAR(50);
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS os VARCHAR(50);
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS os_version VARCHAR(50);
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS country VARCHAR(100);
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+ALTER TABLE analytics_events_unpartitioned ADD COLUMN IF NOT EXISTS is_bot BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE analytics_events (
+    event_id BIGSERIAL,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    event_name VARCHAR(100) NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    referrer VARCHAR(500),
+    device VARCHAR(50),
+    ip_address VARCHAR(64),
+    visitor_id VARCHAR(32),
+    timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    metadata JSONB,
+    user_agent TEXT,
+    browser VARCHAR(50),
+    browser_version VARCHAR(50),
+    os VARCHAR(50),
+    os_version VARCHAR(50),
+    country VARCHAR(100),
+    region VARCHAR(100),
+    city VARCHAR(100),
+    is_bot BOOLEAN NOT NULL DEFAULT false,
+    PRIMARY KEY (event_id, timestamp)
+) PARTITION BY RANGE (timestamp);
+
+CREATE TABLE analytics_events_default PARTITION OF analytics_events DEFAULT;
+
+-- One partition per month from the oldest event through next month
+DO $$
+DECLARE
+    month_start DATE;
+BEGIN
+    FOR month_start IN
+        SELECT generate_series(
+            date_trunc('month', COALESCE(MIN(timestamp), NOW())),
+            date_trunc('month', NOW()) + INTERVAL '1 month',
+            INTERVAL '1 month'
+        )::date
+        FROM analytics_events_unpartitioned
+    LOOP
+        EXECUTE format(
+            'CREATE TABLE %I PARTITION OF analytics_events FOR VALUES FROM (%L) TO (%L)',
+            'analytics_events_p' || to_char(month_start, 'YYYY_MM'),
+            month_start,
+            (month_start + INTERVAL '1 month')::date
+        );
+    END LOOP;
+END $$;
+
+INSERT INTO analytics_events (
+    event_id, app_id, event_name, url, referrer, device, ip_address, visitor_id,
+    timestamp, metadata, user_agent, browser, browser_version, os, os_version,
+    country, region, city, is_bot
+)
+SELECT
+    event_id, app_id, event_name, url, referrer, device, ip_address, visitor_id,
+    timestamp, metadata, user_agent, browser, browser_version, os, os_version,
+    country, region, city, is_bot
+FROM analytics_events_unpartitioned;
+
+SELECT setval(
+    pg_get_serial_sequence('analytics_events', 'event_id'),
+    COALESCE((SELECT MAX(event_id) FROM analytics_events), 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_app_id_timestamp ON analytics_events(app_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_app_id_event_name ON analytics_events(app_id, event_name);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_app_id_visitor_id ON analytics_events(app_id, visitor_id);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_app_id_ip_address ON analytics_events(app_id, ip_address);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_user_id ON analytics_events(app_id, (metadata->>'user_id'));
+
+COMMIT;
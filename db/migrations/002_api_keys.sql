@@ -0,0 +1,14 @@
+-- Copy each app's single API key into api_keys so it can be labelled, scoped
+-- and rotated. Run once after applying schema.sql with:
+-- psql -f db/migrations/002_api_keys.sql
+-- Copied keys keep every scope and the app's current expiry.
+
+BEGIN;
+
+INSERT INTO api_keys (app_id, label, key_prefix, key_hash, scopes, expires_at, created_at)
+SELECT a.app_id, 'Default', '', a.api_key_hash, '{ingest,read,admin}', a.expires_at, a.created_at
+FROM apps a
+WHERE a.api_key_hash IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM api_keys k WHERE k.key_hash = a.api_key_hash);
+
+COMMIT;
@@ -0,0 +1,71 @@
+-- Add the traffic source and UTM columns to event tables created before they
+-- existed, including a table already partitioned by 001. Run once after 001
+-- (if you ran it) with: psql -f db/migrations/003_traffic_sources.sql
+-- Values stored in analytics_events_unpartitioned by a newer schema.sql
+-- before 001 ran are copied over.
+
+BEGIN;
+
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS traffic_source VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS traffic_medium VARCHAR(50);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_source VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_term VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_content VARCHAR(255);
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS traffic_source VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS traffic_medium VARCHAR(50);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_source VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_term VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_content VARCHAR(255);
+
+ALTER TABLE IF EXISTS analytics_events_archive ADD COLUMN IF NOT EXISTS traffic_source VARCHAR(255);
+ALTER TABLE IF EXISTS analytics_events_archive ADD COLUMN IF NOT EXISTS traffic_medium VARCHAR(50);
+ALTER TABLE IF EXISTS analytics_events_archive ADD COLUMN IF NOT EXISTS utm_source VARCHAR(255);
+ALTER TABLE IF EXISTS analytics_events_archive ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(255);
+ALTER TABLE IF EXISTS analytics_events_archive ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(255);
+ALTER TABLE IF EXISTS analytics_events_archive ADD COLUMN IF NOT EXISTS utm_term VARCHAR(255);
+ALTER TABLE IF EXISTS analytics_events_archive ADD COLUMN IF NOT EXISTS utm_content VARCHAR(255);
+
+DO $$
+DECLARE
+    index_name TEXT;
+BEGIN
+    -- Indexes left on the old table by 001 would keep their names from being reused
+    FOR index_name IN
+        SELECT indexname FROM pg_indexes
+        WHERE schemaname = current_schema()
+          AND tablename = 'analytics_events_unpartitioned'
+          AND indexname IN ('idx_analytics_events_traffic_source', 'idx_analytics_events_visitor_timestamp')
+    LOOP
+        EXECUTE format('DROP INDEX %I', index_name);
+    END LOOP;
+
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema()
+          AND table_name = 'analytics_events_unpartitioned'
+          AND column_name = 'traffic_source'
+    ) THEN
+        UPDATE analytics_events e
+        SET traffic_source = u.traffic_source,
+            traffic_medium = u.traffic_medium,
+            utm_source = u.utm_source,
+            utm_medium = u.utm_medium,
+            utm_campaign = u.utm_campaign,
+            utm_term = u.utm_term,
+            utm_content = u.utm_content
+        FROM analytics_events_unpartitioned u
+        WHERE e.event_id = u.event_id AND e.timestamp = u.timestamp
+          AND e.traffic_source IS NULL AND e.utm_source IS NULL
+          AND (u.traffic_source IS NOT NULL OR u.utm_source IS NOT NULL);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_traffic_source ON analytics_events(app_id, traffic_source) WHERE traffic_source IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_analytics_events_visitor_timestamp ON analytics_events(app_id, visitor_id, timestamp);
+
+COMMIT;
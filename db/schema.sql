@@ -2,20 +2,40 @@
 
 -- Apps table: Store registered applications
 CREATE TABLE IF NOT EXISTS apps (
-    id SERIAL PRIMARY KEY,
+    app_id SERIAL PRIMARY KEY,
     app_name VARCHAR(255) NOT NULL,
     app_url VARCHAR(500) NOT NULL,
     email VARCHAR(255) NOT NULL,
-    api_key VARCHAR(255) UNIQUE NOT NULL,
+    api_key VARCHAR(255) UNIQUE,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Earlier versions of this file named the key column id; foreign keys follow the rename
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'apps' AND column_name = 'id'
+    ) AND NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'apps' AND column_name = 'app_id'
+    ) THEN
+        ALTER TABLE apps RENAME COLUMN id TO app_id;
+    END IF;
+END $$;
+
+-- Keys are stored as a SHA-256 hash (services/apiKeys.js) and expire; the
+-- plaintext api_key is only kept for apps registered through index.js
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS api_key_hash VARCHAR(64) UNIQUE;
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+ALTER TABLE apps ALTER COLUMN api_key DROP NOT NULL;
+
 -- Events table: Store analytics events
 CREATE TABLE IF NOT EXISTS events (
     id SERIAL PRIMARY KEY,
-    app_id INTEGER NOT NULL REFERENCES apps(id) ON DELETE CASCADE,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
     event VARCHAR(100) NOT NULL,
     url VARCHAR(500) NOT NULL,
     referrer VARCHAR(500),
@@ -29,6 +49,363 @@ CREATE TABLE IF NOT EXISTS events (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- User accounts and hashed refresh tokens (see services/users.js)
+CREATE TABLE IF NOT EXISTS users (
+    user_id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The user who manages an app's keys and settings (NULL until claimed)
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS owner_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+
+-- Team workspaces (see services/workspaces.js). Apps in a workspace are
+-- managed by its members according to their role; role changes are audited.
+CREATE TABLE IF NOT EXISTS workspaces (
+    workspace_id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+    workspace_id INTEGER NOT NULL REFERENCES workspaces(workspace_id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'analyst', 'viewer')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+    invitation_id SERIAL PRIMARY KEY,
+    workspace_id INTEGER NOT NULL REFERENCES workspaces(workspace_id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'analyst', 'viewer')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    workspace_id INTEGER NOT NULL REFERENCES workspaces(workspace_id) ON DELETE CASCADE,
+    actor_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL,
+    target_user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(workspace_id) ON DELETE SET NULL;
+
+-- API keys (see services/apiKeys.js). Scopes are 'ingest', 'read' and 'admin';
+-- allowed_origins NULL means any origin and expires_at NULL means no expiry.
+CREATE TABLE IF NOT EXISTS api_keys (
+    key_id SERIAL PRIMARY KEY,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    label VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(8) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{ingest}',
+    allowed_origins TEXT[],
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    replaced_by INTEGER,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Monthly usage per app (see services/usage.js). period is the first day of
+-- the UTC month. monthly_event_quota overrides MONTHLY_EVENT_QUOTA (0 = unlimited).
+CREATE TABLE IF NOT EXISTS usage_counters (
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    period DATE NOT NULL,
+    events BIGINT NOT NULL DEFAULT 0,
+    queries BIGINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (app_id, period)
+);
+
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS monthly_event_quota INTEGER;
+
+-- Fixed-window rate limit counters shared between instances (RATE_LIMIT_STORE=postgres)
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+    counter_key VARCHAR(255) NOT NULL,
+    window_start TIMESTAMP NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (counter_key, window_start)
+);
+
+-- Privacy mode: 'off' stores raw IPs, 'truncate' zeroes the host part,
+-- 'hash' stores a daily-salted hash. Visitor IDs rotate daily when not 'off'.
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS privacy_mode VARCHAR(20) NOT NULL DEFAULT 'off';
+
+-- Daily rotating salts for cookieless visitor IDs (only today and yesterday are kept)
+CREATE TABLE IF NOT EXISTS daily_salts (
+    day DATE PRIMARY KEY,
+    salt VARCHAR(64) NOT NULL
+);
+
+-- Parsed user-agent versions (families live in browser/os)
+ALTER TABLE events ADD COLUMN IF NOT EXISTS browser_version VARCHAR(50);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS os_version VARCHAR(50);
+
+-- Region resolved from the offline GeoIP database
+ALTER TABLE events ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+
+-- Bot/crawler flag set at ingestion; analytics queries exclude bots by default
+ALTER TABLE events ADD COLUMN IF NOT EXISTS is_bot BOOLEAN NOT NULL DEFAULT false;
+
+-- Traffic source (from UTM tags, else the referrer) and raw UTM parameters
+ALTER TABLE events ADD COLUMN IF NOT EXISTS traffic_source VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS traffic_medium VARCHAR(50);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_source VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_term VARCHAR(255);
+ALTER TABLE events ADD COLUMN IF NOT EXISTS utm_content VARCHAR(255);
+
+-- Analytics events table: Store events collected through routes/analytics.js
+-- Range-partitioned on timestamp; jobs/partitions.js creates upcoming
+-- monthly (or daily) partitions. Existing unpartitioned installs migrate
+-- with db/migrations/001_partition_analytics_events.sql.
+CREATE TABLE IF NOT EXISTS analytics_events (
+    event_id BIGSERIAL,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    event_name VARCHAR(100) NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    referrer VARCHAR(500),
+    device VARCHAR(50),
+    ip_address VARCHAR(64),
+    visitor_id VARCHAR(32),
+    timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    metadata JSONB,
+    user_agent TEXT,
+    browser VARCHAR(50),
+    browser_version VARCHAR(50),
+    os VARCHAR(50),
+    os_version VARCHAR(50),
+    country VARCHAR(100),
+    region VARCHAR(100),
+    city VARCHAR(100),
+    is_bot BOOLEAN NOT NULL DEFAULT false,
+    PRIMARY KEY (event_id, timestamp)
+) PARTITION BY RANGE (timestamp);
+
+-- Catches rows outside the managed partitions until a partition is created for them
+CREATE TABLE IF NOT EXISTS analytics_events_default PARTITION OF analytics_events DEFAULT;
+
+-- Tables created before server-side user-agent parsing lack these
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS browser VARCHAR(50);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS browser_version VARCHAR(50);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS os VARCHAR(50);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS os_version VARCHAR(50);
+
+-- Location from the offline GeoIP database
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS country VARCHAR(100);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS region VARCHAR(100);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS city VARCHAR(100);
+
+-- Rows collected before bot detection count as human traffic
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS is_bot BOOLEAN NOT NULL DEFAULT false;
+
+-- Cookieless visitor hash (NULL for events stored before privacy modes)
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS visitor_id VARCHAR(32);
+
+-- Traffic source (from UTM tags, else the referrer; NULL for internal navigation)
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS traffic_source VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS traffic_medium VARCHAR(50);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_source VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_term VARCHAR(255);
+ALTER TABLE analytics_events ADD COLUMN IF NOT EXISTS utm_content VARCHAR(255);
+
+-- Audit log of GDPR erasures (the identifier is stored hashed)
+CREATE TABLE IF NOT EXISTS erasure_requests (
+    request_id SERIAL PRIMARY KEY,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    identifier_type VARCHAR(20) NOT NULL,
+    identifier_hash VARCHAR(64) NOT NULL,
+    requested_by VARCHAR(255) NOT NULL,
+    requester_ip VARCHAR(45),
+    rows_deleted INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Who actually made the request: the API key, or the member's account with a
+-- bearer token (requested_by is whatever the caller wrote; both NULL for legacy keys)
+ALTER TABLE erasure_requests ADD COLUMN IF NOT EXISTS api_key_id INTEGER REFERENCES api_keys(key_id) ON DELETE SET NULL;
+ALTER TABLE erasure_requests ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL;
+
+-- Data retention: events older than retention_days are purged (NULL keeps forever)
+ALTER TABLE apps ADD COLUMN IF NOT EXISTS retention_days INTEGER;
+
+-- Expired events are moved here when RETENTION_MODE=archive
+CREATE TABLE IF NOT EXISTS analytics_events_archive (LIKE analytics_events);
+ALTER TABLE analytics_events_archive ADD COLUMN IF NOT EXISTS traffic_source VARCHAR(255);
+ALTER TABLE analytics_events_archive ADD COLUMN IF NOT EXISTS traffic_medium VARCHAR(50);
+ALTER TABLE analytics_events_archive ADD COLUMN IF NOT EXISTS utm_source VARCHAR(255);
+ALTER TABLE analytics_events_archive ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(255);
+ALTER TABLE analytics_events_archive ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(255);
+ALTER TABLE analytics_events_archive ADD COLUMN IF NOT EXISTS utm_term VARCHAR(255);
+ALTER TABLE analytics_events_archive ADD COLUMN IF NOT EXISTS utm_content VARCHAR(255);
+
+-- History of retention job runs
+CREATE TABLE IF NOT EXISTS retention_runs (
+    run_id SERIAL PRIMARY KEY,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    mode VARCHAR(20) NOT NULL,
+    retention_days INTEGER NOT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    rows_removed BIGINT NOT NULL DEFAULT 0,
+    error TEXT
+);
+
+-- Hourly and daily pre-aggregates per app and dimension combination.
+-- visitors is a HyperLogLog sketch (services/hll.js) of distinct visitor IDs.
+-- Missing dimension values are stored as ''.
+CREATE TABLE IF NOT EXISTS event_rollups (
+    source VARCHAR(30) NOT NULL,
+    granularity VARCHAR(5) NOT NULL,
+    bucket TIMESTAMP NOT NULL,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    event_name VARCHAR(100) NOT NULL,
+    url VARCHAR(500) NOT NULL DEFAULT '',
+    device VARCHAR(50) NOT NULL DEFAULT '',
+    browser VARCHAR(50) NOT NULL DEFAULT '',
+    country VARCHAR(100) NOT NULL DEFAULT '',
+    is_bot BOOLEAN NOT NULL DEFAULT false,
+    count BIGINT NOT NULL,
+    visitors BYTEA,
+    PRIMARY KEY (source, granularity, app_id, bucket, event_name, url, device, browser, country, is_bot)
+);
+
+-- How far each source has been rolled up, per granularity
+-- (also holds the sessionization watermark as source 'sessions')
+CREATE TABLE IF NOT EXISTS rollup_state (
+    source VARCHAR(30) NOT NULL,
+    granularity VARCHAR(5) NOT NULL,
+    rolled_until TIMESTAMP NOT NULL,
+    PRIMARY KEY (source, granularity)
+);
+
+-- Hours already rolled up that have since received events (late timestamps,
+-- replayed or delayed ingestion); jobs/rollups.js rebuilds and removes them
+CREATE TABLE IF NOT EXISTS rollup_dirty_hours (
+    source VARCHAR(30) NOT NULL,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    hour TIMESTAMP NOT NULL,
+    PRIMARY KEY (source, hour, app_id)
+);
+
+-- Visits built from analytics_events by jobs/sessions.js
+CREATE TABLE IF NOT EXISTS sessions (
+    session_id BIGSERIAL PRIMARY KEY,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    visitor_id VARCHAR(32) NOT NULL,
+    started_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP NOT NULL,
+    duration_seconds INTEGER NOT NULL DEFAULT 0,
+    page_count INTEGER NOT NULL DEFAULT 0,
+    event_count INTEGER NOT NULL DEFAULT 0,
+    entry_page VARCHAR(500),
+    exit_page VARCHAR(500),
+    referrer VARCHAR(500)
+);
+
+-- Saved conversion funnels (steps: [{ event, url?, metadata? }, ...])
+CREATE TABLE IF NOT EXISTS funnels (
+    funnel_id SERIAL PRIMARY KEY,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    steps JSONB NOT NULL,
+    window_seconds INTEGER NOT NULL DEFAULT 86400,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (app_id, name)
+);
+
+-- Threshold alerts checked by jobs/alerts.js. 'above' and 'below' compare the
+-- event count over the last window_minutes with threshold; 'drop_pct' and
+-- 'rise_pct' compare it with the same window baseline_offset_minutes earlier
+-- and fire when the change reaches threshold percent.
+CREATE TABLE IF NOT EXISTS alert_rules (
+    rule_id SERIAL PRIMARY KEY,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    event_name VARCHAR(100) NOT NULL,
+    condition VARCHAR(10) NOT NULL,
+    threshold NUMERIC NOT NULL,
+    window_minutes INTEGER NOT NULL DEFAULT 10,
+    baseline_offset_minutes INTEGER NOT NULL DEFAULT 10080,
+    cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    state VARCHAR(10) NOT NULL DEFAULT 'ok',
+    last_checked_at TIMESTAMP,
+    last_fired_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (app_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS alert_firings (
+    firing_id BIGSERIAL PRIMARY KEY,
+    rule_id INTEGER NOT NULL REFERENCES alert_rules(rule_id) ON DELETE CASCADE,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    value NUMERIC NOT NULL,
+    baseline NUMERIC,
+    fired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound webhooks: raw events (optionally only some event names) and/or alert firings
+CREATE TABLE IF NOT EXISTS webhooks (
+    webhook_id SERIAL PRIMARY KEY,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    url VARCHAR(2000) NOT NULL,
+    secret VARCHAR(64) NOT NULL,
+    send_events BOOLEAN NOT NULL DEFAULT false,
+    event_names TEXT[],
+    send_alerts BOOLEAN NOT NULL DEFAULT true,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Delivery queue and history. Deliveries that exhaust their retries stay
+-- here with status 'dead' (the dead-letter log) until retried by hand.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    delivery_id BIGSERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(webhook_id) ON DELETE CASCADE,
+    app_id INTEGER NOT NULL REFERENCES apps(app_id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP
+);
+
 -- Indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_apps_api_key ON apps(api_key);
 CREATE INDEX IF NOT EXISTS idx_apps_is_active ON apps(is_active);
@@ -38,7 +415,26 @@ CREATE INDEX IF NOT EXISTS idx_events_created_at ON events(created_at);
 CREATE INDEX IF NOT EXISTS idx_events_url ON events(url);
 CREATE INDEX IF NOT EXISTS idx_events_device ON events(device);
 CREATE INDEX IF NOT EXISTS idx_events_browser ON events(browser);
+CREATE INDEX IF NOT EXISTS idx_events_country ON events(country);
 CREATE INDEX IF NOT EXISTS idx_events_app_id_created_at ON events(app_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_app_id_timestamp ON analytics_events(app_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_app_id_event_name ON analytics_events(app_id, event_name);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_app_id_visitor_id ON analytics_events(app_id, visitor_id);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_app_id_ip_address ON analytics_events(app_id, ip_address);
+CREATE INDEX IF NOT EXISTS idx_event_rollups_bucket ON event_rollups(source, granularity, bucket);
+CREATE INDEX IF NOT EXISTS idx_sessions_app_id_started_at ON sessions(app_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_app_id_visitor_id ON sessions(app_id, visitor_id, ended_at);
+CREATE INDEX IF NOT EXISTS idx_retention_runs_app_id_started_at ON retention_runs(app_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_user_id ON analytics_events(app_id, (metadata->>'user_id'));
+CREATE INDEX IF NOT EXISTS idx_analytics_events_traffic_source ON analytics_events(app_id, traffic_source) WHERE traffic_source IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_analytics_events_visitor_timestamp ON analytics_events(app_id, visitor_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_alert_firings_rule_id_fired_at ON alert_firings(rule_id, fired_at);
+CREATE INDEX IF NOT EXISTS idx_webhooks_app_id ON webhooks(app_id);
+CREATE INDEX IF NOT EXISTS idx_apps_owner_user_id ON apps(owner_user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id_created_at ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_app_id_status ON webhook_deliveries(app_id, status);
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -53,4 +449,10 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_apps_updated_at 
     BEFORE UPDATE ON apps 
     FOR EACH ROW 
-    EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    EXECUTE FUNCTION update_updated_at_column();
+CREATE INDEX IF NOT EXISTS idx_apps_workspace_id ON apps(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_workspace_id ON workspace_invitations(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_workspace_id_created_at ON audit_log(workspace_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_api_keys_app_id ON api_keys(app_id);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_window_start ON rate_limit_counters(window_start);
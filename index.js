@@ -1,12 +1,51 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { Pool } = require('pg');
+const { parseUserAgent } = require('./services/userAgent');
+const geo = require('./services/geo');
+const { BOT_ACTION, detectBot, botFilter } = require('./services/bots');
+const rollups = require('./services/rollups');
+const live = require('./services/live');
+const ingest = require('./services/ingest');
+const { insertRows } = require('./services/events');
+const usage = require('./services/usage');
+const { validateApiKey, requireRole } = require('./middleware/auth');
+const { hashKey } = require('./services/apiKeys');
+const { parseTrafficSource } = require('./services/referrers');
+const { validateDateRange, dateFilter } = require('./services/query');
+const { validateComparison, resolveComparison, compareRows } = require('./services/compare');
+const authRoutes = require('./routes/auth');
+const analyticsRoutes = require('./routes/analytics');
+const gdprRoutes = require('./routes/gdpr');
+const funnelRoutes = require('./routes/funnels');
+const adminRoutes = require('./routes/admin');
+const alertRoutes = require('./routes/alerts');
+const webhookRoutes = require('./routes/webhooks');
+const workspaceRoutes = require('./routes/workspaces');
+const usageRoutes = require('./routes/usage');
+const retentionJob = require('./jobs/retention');
+const partitionJob = require('./jobs/partitions');
+const rollupJob = require('./jobs/rollups');
+const sessionJob = require('./jobs/sessions');
+const alertJob = require('./jobs/alerts');
+const webhookJob = require('./jobs/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const INGEST_DRAIN_TIMEOUT_MS = parseInt(process.env.INGEST_DRAIN_TIMEOUT_MS, 10) || 10000;
+
+// Needed for req.ip to reflect the client address behind a load balancer
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
+// Offline IP geolocation (reloads on SIGHUP or when the file changes)
+geo.init();
 
 // Database connection
 const pool = new Pool({
@@ -14,6 +53,19 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// Idle clients can fail (e.g. the database restarts); the pool replaces them
+pool.on('error', (err) => {
+  console.error('Unexpected database error:', err);
+});
+
+// Legacy /collect events are buffered by services/ingest.js and written here
+const LEGACY_EVENT_COLUMNS = [
+  'app_id', 'event', 'url', 'referrer', 'user_agent', 'device', 'browser', 'browser_version', 'os', 'os_version',
+  'country', 'region', 'city', 'custom_data', 'is_bot', 'traffic_source', 'traffic_medium',
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'created_at'
+];
+ingest.defineTarget('events', (rows) => insertRows(pool, 'events', LEGACY_EVENT_COLUMNS, rows, 'id'));
+
 // Test database connection
 pool.connect((err, client, release) => {
   if (err) {
@@ -30,41 +82,43 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting
+// Rate limiting for anonymous requests (signup, login, health checks). Requests
+// carrying an API key or access token are limited per key and app instead
+// (middleware/rateLimit.js), so visitors behind a shared NAT are not throttled
+// together. Collect routes always need a key, which tracker beacons send in
+// the text/plain body where it cannot be seen yet.
+const COLLECT_PATHS = ['/api/analytics/collect', '/api/analytics/collect/batch'];
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  standardHeaders: true,
+  skip: (req) => Boolean(req.headers['x-api-key'] || req.headers['authorization'])
+    || (req.method === 'POST' && COLLECT_PATHS.includes((req.baseUrl + req.path).replace(/\/$/, ''))),
   message: 'Too many requests from this IP, please try again later.'
 });
 
 app.use('/api/', limiter);
 
-// Middleware to verify API key
-const verifyApiKey = async (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  
-  if (!apiKey) {
-    return res.status(401).json({ error: 'API key is required' });
-  }
-
-  try {
-    const result = await pool.query(
-      'SELECT id, app_name FROM apps WHERE api_key = $1 AND is_active = true',
-      [apiKey]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid API key' });
-    }
+// Compare options use the same snake_case naming as the other query params here
+const comparisonOptions = (query) => ({
+  compare: query.compare,
+  startDate: query.start_date,
+  endDate: query.end_date,
+  compareStartDate: query.compare_start_date,
+  compareEndDate: query.compare_end_date
+});
 
-    req.app_id = result.rows[0].id;
-    req.app_name = result.rows[0].app_name;
+// API key (or workspace member) check from middleware/auth.js, including its
+// scope, origin and rate limits; the routes below read the app as req.app_id
+const verifyApiKey = (scope) => [
+  validateApiKey(scope),
+  (req, res, next) => {
+    req.app_id = req.appId;
+    req.app_name = req.appName;
     next();
-  } catch (error) {
-    console.error('API key verification error:', error);
-    res.status(500).json({ error: 'Internal server error' });
   }
-};
+];
 
 // Routes
 
@@ -73,8 +127,23 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    database: 'connected'
+    database: 'connected',
+    ingestion: ingest.stats()
+  });
+});
+
+// Browser tracking snippet
+const trackerSource = fs.readFileSync(path.join(__dirname, 'public', 'tracker.js'), 'utf8');
+const trackerVersion = trackerSource.match(/VERSION = '([^']+)'/)[1];
+
+app.get(['/tracker.js', '/tracker/v1.js'], (req, res) => {
+  res.set({
+    'Content-Type': 'application/javascript; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600',
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'X-Tracker-Version': trackerVersion,
   });
+  res.send(trackerSource);
 });
 
 // Root route
@@ -86,6 +155,9 @@ app.get('/', (req, res) => {
       health: '/health',
       register: 'POST /api/auth/register',
       collect: 'POST /api/analytics/collect',
+      collectBatch: 'POST /api/analytics/collect/batch',
+      tracker: 'GET /tracker.js',
+      live: 'GET /api/analytics/live',
       events: 'GET /api/analytics/events',
       summary: 'GET /api/analytics/event-summary'
     }
@@ -94,8 +166,12 @@ app.get('/', (req, res) => {
 
 // Auth Routes
 
-// Register new app
-app.post('/api/auth/register', async (req, res) => {
+// Register new app (signed-in users get an owned app from routes/auth.js instead)
+app.post('/api/auth/register', async (req, res, next) => {
+  if (req.headers['authorization']) {
+    return next();
+  }
+
   const { appName, appUrl, email } = req.body;
 
   if (!appName || !appUrl || !email) {
@@ -109,10 +185,10 @@ app.post('/api/auth/register', async (req, res) => {
     const apiKey = 'sk_' + Math.random().toString(36).substring(2) + Date.now().toString(36);
 
     const result = await pool.query(
-      `INSERT INTO apps (app_name, app_url, email, api_key) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, app_name, api_key, created_at`,
-      [appName, appUrl, email, apiKey]
+      `INSERT INTO apps (app_name, app_url, email, api_key, api_key_hash) 
+       VALUES ($1, $2, $3, $4, $5) 
+       RETURNING app_id, app_name, api_key, created_at`,
+      [appName, appUrl, email, apiKey, hashKey(apiKey)]
     );
 
     res.status(201).json({
@@ -133,8 +209,8 @@ app.post('/api/auth/register', async (req, res) => {
 // Analytics Routes
 
 // Collect analytics event
-app.post('/api/analytics/collect', verifyApiKey, async (req, res) => {
-  const { event, url, referrer, user_agent, device, browser, os, country, city, custom_data } = req.body;
+app.post('/api/analytics/collect', verifyApiKey('ingest'), requireRole('admin'), async (req, res) => {
+  const { event, url, referrer, custom_data, keepClientValues } = req.body;
 
   if (!event || !url) {
     return res.status(400).json({ 
@@ -142,52 +218,84 @@ app.post('/api/analytics/collect', verifyApiKey, async (req, res) => {
     });
   }
 
-  try {
-    await pool.query(
-      `INSERT INTO events 
-       (app_id, event, url, referrer, user_agent, device, browser, os, country, city, custom_data) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
-      [req.app_id, event, url, referrer, user_agent, device, browser, os, country, city, custom_data]
-    );
+  // Device, browser and OS come from the User-Agent unless the client opts out
+  const user_agent = req.body.user_agent || req.headers['user-agent'] || null;
+  const parsed = parseUserAgent(user_agent);
+  const keepClient = keepClientValues === true;
+  const device = (keepClient && req.body.device) || parsed.device;
+  const browser = (keepClient && req.body.browser) || parsed.browser;
+  const browser_version = (keepClient && req.body.browser_version) || parsed.browserVersion;
+  const os = (keepClient && req.body.os) || parsed.os;
+  const os_version = (keepClient && req.body.os_version) || parsed.osVersion;
+  const location = geo.lookup(req.ip) || {};
+  const country = (keepClient && req.body.country) || location.country || null;
+  const region = (keepClient && req.body.region) || location.region || null;
+  const city = (keepClient && req.body.city) || location.city || null;
+  const traffic = parseTrafficSource(url, referrer);
+  const bot = detectBot({
+    userAgent: user_agent,
+    ip: req.ip,
+    headers: req.headers,
+    forwarded: Boolean(req.body.user_agent),
+    request: req,
+  });
 
-    res.status(201).json({ 
-      message: 'Event recorded successfully',
-      event: event,
-      timestamp: new Date().toISOString()
+  if (bot.isBot && BOT_ACTION === 'drop') {
+    return res.status(202).json({
+      message: 'Event ignored as bot traffic',
+      reason: bot.reason
     });
-  } catch (error) {
-    console.error('Event collection error:', error);
-    res.status(500).json({ error: 'Internal server error' });
   }
+
+  const createdAt = new Date().toISOString();
+  const queued = ingest.enqueue([{
+    target: 'events',
+    appId: req.app_id,
+    row: [req.app_id, event, url, referrer, user_agent, device, browser, browser_version, os, os_version, country, region, city, custom_data, bot.isBot,
+      traffic.trafficSource, traffic.trafficMedium, traffic.utm_source, traffic.utm_medium, traffic.utm_campaign, traffic.utm_term, traffic.utm_content, createdAt],
+    live: live.toLiveEvent(null, {
+      event, url, referrer, device, browser, os, country, city,
+      isBot: bot.isBot,
+      trafficSource: traffic.trafficSource,
+      timestamp: createdAt
+    })
+  }]);
+
+  if (!queued) {
+    res.set('Retry-After', '1');
+    return res.status(503).json({ error: 'Ingestion is busy, please retry shortly' });
+  }
+
+  usage.recordEvents(req.app_id, 1);
+
+  res.status(202).json({ 
+    message: 'Event accepted',
+    event: event,
+    timestamp: createdAt
+  });
 });
+
 // Get all events
-app.get('/api/analytics/events', verifyApiKey, async (req, res) => {
+app.get('/api/analytics/events', verifyApiKey('read'), async (req, res) => {
   const { limit = 100, offset = 0, event_type, start_date, end_date } = req.query;
+  const dateError = validateDateRange({ startDate: start_date, endDate: end_date });
+
+  if (dateError) {
+    return res.status(400).json({ error: dateError });
+  }
 
   try {
-    let query = 'SELECT * FROM events WHERE app_id = $1';
+    let query = `SELECT * FROM events WHERE app_id = $1${botFilter(req.query)}`;
     let params = [req.app_id];
-    let paramCount = 1;
 
     if (event_type) {
-      paramCount++;
-      query += ` AND event = $${paramCount}`;
       params.push(event_type);
+      query += ` AND event = $${params.length}`;
     }
 
-    if (start_date) {
-      paramCount++;
-      query += ` AND created_at >= $${paramCount}`;
-      params.push(start_date);
-    }
+    query += dateFilter('created_at', { startDate: start_date, endDate: end_date }, params);
 
-    if (end_date) {
-      paramCount++;
-      query += ` AND created_at <= $${paramCount}`;
-      params.push(end_date);
-    }
-
-    query += ` ORDER BY created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
     params.push(limit, offset);
 
     const result = await pool.query(query, params);
@@ -205,10 +313,18 @@ app.get('/api/analytics/events', verifyApiKey, async (req, res) => {
 });
 
 // Get event summary
-app.get('/api/analytics/event-summary', verifyApiKey, async (req, res) => {
+app.get('/api/analytics/event-summary', verifyApiKey('read'), async (req, res) => {
   const { event, start_date, end_date } = req.query;
+  const options = comparisonOptions(req.query);
+  const rangeError = validateDateRange(options) || validateComparison(options);
 
-  try {
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  const comparison = resolveComparison(options);
+
+  const summarize = async (range) => {
     let query = `
       SELECT 
         event,
@@ -216,166 +332,141 @@ app.get('/api/analytics/event-summary', verifyApiKey, async (req, res) => {
         COUNT(DISTINCT url) as unique_urls,
         COUNT(DISTINCT device) as unique_devices
       FROM events 
-      WHERE app_id = $1
+      WHERE app_id = $1${botFilter(req.query)}
     `;
     let params = [req.app_id];
-    let paramCount = 1;
 
     if (event) {
-      paramCount++;
-      query += ` AND event = $${paramCount}`;
       params.push(event);
+      query += ` AND event = $${params.length}`;
     }
 
-    if (start_date) {
-      paramCount++;
-      query += ` AND created_at >= $${paramCount}`;
-      params.push(start_date);
-    }
-
-    if (end_date) {
-      paramCount++;
-      query += ` AND created_at <= $${paramCount}`;
-      params.push(end_date);
-    }
+    query += dateFilter('created_at', range, params);
 
     query += ' GROUP BY event ORDER BY count DESC';
 
     const result = await pool.query(query, params);
+    return result.rows;
+  };
 
-    res.json({
-      summary: result.rows,
+  try {
+    const summary = await summarize(comparison ? comparison.current : { startDate: start_date, endDate: end_date });
+    const response = {
+      summary,
       app: req.app_name
-    });
+    };
+
+    if (comparison) {
+      const previous = await summarize(comparison.previous);
+      response.comparison = {
+        ...comparison,
+        rows: compareRows(summary, previous, {
+          keys: ['event'],
+          metrics: ['count', 'unique_urls', 'unique_devices']
+        })
+      };
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('Event summary error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get analytics by device
-app.get('/api/analytics/by-device', verifyApiKey, async (req, res) => {
-  const { start_date, end_date } = req.query;
+// Breakdown of event counts by one dimension, served from the rollups
+const breakdownRoute = ({ dimension, key, countKey = 'count', label, defaultLimit }) => async (req, res) => {
+  const { start_date, end_date, limit = defaultLimit } = req.query;
+  const options = comparisonOptions(req.query);
+  const compareError = validateComparison(options);
 
-  try {
-    let query = `
-      SELECT 
-        device,
-        COUNT(*) as count
-      FROM events 
-      WHERE app_id = $1 AND device IS NOT NULL
-    `;
-    let params = [req.app_id];
-    let paramCount = 1;
-
-    if (start_date) {
-      paramCount++;
-      query += ` AND created_at >= $${paramCount}`;
-      params.push(start_date);
-    }
-
-    if (end_date) {
-      paramCount++;
-      query += ` AND created_at <= $${paramCount}`;
-      params.push(end_date);
-    }
-
-    query += ' GROUP BY device ORDER BY count DESC';
+  if (compareError) {
+    return res.status(400).json({ error: compareError });
+  }
 
-    const result = await pool.query(query, params);
+  const comparison = resolveComparison(options);
 
-    res.json({
-      devices: result.rows,
-      app: req.app_name
+  const breakdown = async (range) => {
+    const rows = await rollups.aggregate({
+      source: 'events',
+      appId: req.app_id,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      dimensions: [dimension],
+      includeBots: req.query.include_bots === 'true'
     });
-  } catch (error) {
-    console.error('Device analytics error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
 
-// Get analytics by browser
-app.get('/api/analytics/by-browser', verifyApiKey, async (req, res) => {
-  const { start_date, end_date } = req.query;
-
-  try {
-    let query = `
-      SELECT 
-        browser,
-        COUNT(*) as count
-      FROM events 
-      WHERE app_id = $1 AND browser IS NOT NULL
-    `;
-    let params = [req.app_id];
-    let paramCount = 1;
+    const results = rows
+      .filter((row) => row[dimension] !== null)
+      .map((row) => ({ [dimension]: row[dimension], [countKey]: row.count }))
+      .sort((a, b) => b[countKey] - a[countKey]);
 
-    if (start_date) {
-      paramCount++;
-      query += ` AND created_at >= $${paramCount}`;
-      params.push(start_date);
-    }
+    return limit === undefined ? results : results.slice(0, parseInt(limit));
+  };
 
-    if (end_date) {
-      paramCount++;
-      query += ` AND created_at <= $${paramCount}`;
-      params.push(end_date);
+  try {
+    const results = await breakdown(comparison ? comparison.current : { startDate: start_date, endDate: end_date });
+    const response = {
+      [key]: results,
+      app: req.app_name
+    };
+
+    if (comparison) {
+      const previous = await breakdown(comparison.previous);
+      response.comparison = {
+        ...comparison,
+        rows: compareRows(results, previous, { keys: [dimension], metrics: [countKey] })
+      };
     }
 
-    query += ' GROUP BY browser ORDER BY count DESC';
-
-    const result = await pool.query(query, params);
-
-    res.json({
-      browsers: result.rows,
-      app: req.app_name
-    });
+    res.json(response);
   } catch (error) {
-    console.error('Browser analytics error:', error);
+    console.error(`${label} error:`, error);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
-
-// Get top pages
-app.get('/api/analytics/top-pages', verifyApiKey, async (req, res) => {
-  const { limit = 10, start_date, end_date } = req.query;
-
-  try {
-    let query = `
-      SELECT 
-        url,
-        COUNT(*) as views
-      FROM events 
-      WHERE app_id = $1
-    `;
-    let params = [req.app_id];
-    let paramCount = 1;
-
-    if (start_date) {
-      paramCount++;
-      query += ` AND created_at >= $${paramCount}`;
-      params.push(start_date);
-    }
+};
 
-    if (end_date) {
-      paramCount++;
-      query += ` AND created_at <= $${paramCount}`;
-      params.push(end_date);
-    }
+// Get analytics by device
+app.get('/api/analytics/by-device', verifyApiKey('read'), breakdownRoute({
+  dimension: 'device',
+  key: 'devices',
+  label: 'Device analytics'
+}));
 
-    query += ` GROUP BY url ORDER BY views DESC LIMIT $${paramCount + 1}`;
-    params.push(limit);
+// Get analytics by browser
+app.get('/api/analytics/by-browser', verifyApiKey('read'), breakdownRoute({
+  dimension: 'browser',
+  key: 'browsers',
+  label: 'Browser analytics'
+}));
+
+// Get analytics by country
+app.get('/api/analytics/by-country', verifyApiKey('read'), breakdownRoute({
+  dimension: 'country',
+  key: 'countries',
+  label: 'Country analytics'
+}));
 
-    const result = await pool.query(query, params);
+// Get top pages
+app.get('/api/analytics/top-pages', verifyApiKey('read'), breakdownRoute({
+  dimension: 'url',
+  key: 'pages',
+  countKey: 'views',
+  label: 'Top pages',
+  defaultLimit: 10
+}));
+
+// Mounted routers (inline routes above take precedence on shared paths)
+app.use('/api/auth', authRoutes);
+app.use('/api/analytics/funnels', funnelRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/gdpr', gdprRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/usage', usageRoutes);
 
-    res.json({
-      pages: result.rows,
-      app: req.app_name
-    });
-  } catch (error) {
-    console.error('Top pages error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -391,16 +482,43 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`✅ Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Background jobs
+  partitionJob.start();
+  retentionJob.start();
+  rollupJob.start();
+  sessionJob.start();
+  alertJob.start();
+  webhookJob.start();
+  live.start();
+  usage.start();
+  ingest.start();
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
+// Graceful shutdown: stop taking requests, write out buffered events, then close the pool
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing server...');
+  server.close();
+  partitionJob.stop();
+  retentionJob.stop();
+  rollupJob.stop();
+  sessionJob.stop();
+  alertJob.stop();
+  webhookJob.stop();
+  live.stop();
+
+  try {
+    await ingest.drain(INGEST_DRAIN_TIMEOUT_MS);
+    await usage.stop();
+  } catch (err) {
+    console.error('Shutdown error:', err);
+  }
+
   pool.end(() => {
     console.log('Database pool closed');
     process.exit(0);
   });
-});
\ No newline at end of file
+});
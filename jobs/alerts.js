@@ -0,0 +1,149 @@
+// Alert scheduler. Every run measures each active rule and, when it is
+// triggered, records a firing and queues webhook deliveries. A rule that stays
+// triggered fires again only after its cooldown; once it recovers it returns
+// to 'ok' and fires on the next crossing.
+
+const db = require('../config/database');
+const { measure, isTriggered } = require('../services/alerts');
+const webhooks = require('../services/webhooks');
+const { parseTimestamp } = require('../services/rollups');
+
+const INTERVAL_MS = parseInt(process.env.ALERT_INTERVAL_MS, 10) || 60 * 1000;
+const LOCK_ID = 720104;
+const MINUTE_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const fire = async (rule, measurement, now) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const firing = await client.query(
+      `INSERT INTO alert_firings (rule_id, app_id, value, baseline, fired_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING firing_id`,
+      [rule.rule_id, rule.app_id, measurement.value, measurement.baseline, now.toISOString()]
+    );
+
+    await client.query(
+      `UPDATE alert_rules SET state = 'firing', last_fired_at = $1, last_checked_at = $1
+       WHERE rule_id = $2`,
+      [now.toISOString(), rule.rule_id]
+    );
+
+    await webhooks.queueAlert(client, rule.app_id, {
+      firingId: firing.rows[0].firing_id,
+      ruleId: rule.rule_id,
+      name: rule.name,
+      event: rule.event_name,
+      condition: rule.condition,
+      threshold: Number(rule.threshold),
+      windowMinutes: rule.window_minutes,
+      value: measurement.value,
+      baseline: measurement.baseline,
+      firedAt: now.toISOString(),
+    });
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const checkRule = async (rule) => {
+  const now = new Date();
+  const measurement = await measure(rule, now);
+
+  if (!isTriggered(rule, measurement)) {
+    await db.query(
+      `UPDATE alert_rules SET state = 'ok', last_checked_at = $1 WHERE rule_id = $2`,
+      [now.toISOString(), rule.rule_id]
+    );
+    return;
+  }
+
+  const lastFired = parseTimestamp(rule.last_fired_at);
+  const cooledDown = !lastFired || now - lastFired >= rule.cooldown_minutes * MINUTE_MS;
+
+  if (rule.state !== 'firing' || cooledDown) {
+    await fire(rule, measurement, now);
+    return;
+  }
+
+  await db.query(
+    'UPDATE alert_rules SET last_checked_at = $1 WHERE rule_id = $2',
+    [now.toISOString(), rule.rule_id]
+  );
+};
+
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  let client;
+
+  try {
+    client = await db.pool.connect();
+
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_ID]);
+    if (!lock.rows[0].locked) {
+      return;
+    }
+
+    try {
+      const rules = await db.query(
+        `SELECT rule_id, app_id, name, event_name, condition, threshold, window_minutes,
+                baseline_offset_minutes, cooldown_minutes, state, last_fired_at::text AS last_fired_at
+         FROM alert_rules
+         WHERE is_active = true`
+      );
+
+      // One failing rule must not stop the others from being checked
+      for (const rule of rules.rows) {
+        try {
+          await checkRule(rule);
+        } catch (err) {
+          console.error(`Alert rule ${rule.rule_id} error:`, err);
+        }
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  } finally {
+    if (client) {
+      client.release();
+    }
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => runOnce().catch((err) => console.error('Alert job error:', err));
+
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -0,0 +1,165 @@
+// Partition management for the range-partitioned analytics_events table.
+// Upcoming partitions are created on startup and on a schedule; partitions
+// whose rows have all passed their app's retention period are dropped (or
+// detached as standalone archive tables) as a whole instead of row by row.
+
+const db = require('../config/database');
+
+const GRANULARITY = process.env.PARTITION_GRANULARITY === 'day' ? 'day' : 'month';
+const PREMAKE = parseInt(process.env.PARTITION_PREMAKE, 10) || 3;
+const INTERVAL_MS = parseInt(process.env.PARTITION_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+const ARCHIVE = process.env.RETENTION_MODE === 'archive';
+const PARENT = 'analytics_events';
+const DEFAULT_PARTITION = 'analytics_events_default';
+
+let timer = null;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const periodStart = (date) => (GRANULARITY === 'day'
+  ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)));
+
+const nextPeriod = (start) => (GRANULARITY === 'day'
+  ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + 1))
+  : new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)));
+
+const partitionName = (start) => {
+  const base = `${PARENT}_p${start.getUTCFullYear()}_${pad(start.getUTCMonth() + 1)}`;
+  return GRANULARITY === 'day' ? `${base}_${pad(start.getUTCDate())}` : base;
+};
+
+const toBound = (date) => date.toISOString().slice(0, 10);
+
+// Create one partition, moving any matching rows out of the default partition
+const createPartition = async (start) => {
+  const end = nextPeriod(start);
+  const name = partitionName(start);
+  const client = await db.pool.connect();
+
+  try {
+    const exists = await client.query('SELECT to_regclass($1) AS oid', [name]);
+    if (exists.rows[0].oid) {
+      return false;
+    }
+
+    await client.query('BEGIN');
+    await client.query(`CREATE TABLE ${name} (LIKE ${PARENT} INCLUDING DEFAULTS INCLUDING CONSTRAINTS)`);
+    await client.query(
+      `WITH moved AS (
+         DELETE FROM ${DEFAULT_PARTITION} WHERE timestamp >= $1 AND timestamp < $2
+         RETURNING *
+       )
+       INSERT INTO ${name} SELECT * FROM moved`,
+      [toBound(start), toBound(end)]
+    );
+    await client.query(
+      `ALTER TABLE ${PARENT} ATTACH PARTITION ${name}
+       FOR VALUES FROM ('${toBound(start)}') TO ('${toBound(end)}')`
+    );
+    await client.query('COMMIT');
+
+    console.log(`🗂️  Created partition ${name}`);
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK');
+
+    // A partition with a different granularity already covers this range
+    if (err.code === '42P17') {
+      return false;
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Make sure the current period and the next PREMAKE periods have partitions
+const ensurePartitions = async () => {
+  let start = periodStart(new Date());
+
+  for (let i = 0; i <= PREMAKE; i++) {
+    await createPartition(start);
+    start = nextPeriod(start);
+  }
+};
+
+// List attached partitions with their bounds, oldest first
+const listPartitions = async () => {
+  const result = await db.query(
+    `SELECT c.relname AS name, pg_get_expr(c.relpartbound, c.oid) AS bound
+     FROM pg_inherits i
+     JOIN pg_class c ON c.oid = i.inhrelid
+     WHERE i.inhparent = $1::regclass`,
+    [PARENT]
+  );
+
+  return result.rows
+    .map((row) => {
+      const match = row.bound.match(/FROM \('([^']+)'\) TO \('([^']+)'\)/);
+      return match ? { name: row.name, from: new Date(`${match[1]}Z`), to: new Date(`${match[2]}Z`) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.from - b.from);
+};
+
+// Drop (or detach, in archive mode) partitions where every row is expired.
+// Apps without a retention period keep their partitions forever.
+const dropExpiredPartitions = async () => {
+  const removed = [];
+  const partitions = await listPartitions();
+
+  for (const partition of partitions) {
+    if (partition.to > new Date()) {
+      break;
+    }
+
+    const live = await db.query(
+      `SELECT 1
+       FROM (SELECT app_id, MAX(timestamp) AS newest FROM ${partition.name} GROUP BY app_id) p
+       JOIN apps a ON a.app_id = p.app_id
+       WHERE a.retention_days IS NULL
+          OR p.newest >= NOW() - make_interval(days => a.retention_days)
+       LIMIT 1`
+    );
+
+    if (live.rows.length > 0) {
+      continue;
+    }
+
+    await db.query(`ALTER TABLE ${PARENT} DETACH PARTITION ${partition.name}`);
+    if (!ARCHIVE) {
+      await db.query(`DROP TABLE ${partition.name}`);
+    }
+
+    console.log(`🗂️  ${ARCHIVE ? 'Detached' : 'Dropped'} expired partition ${partition.name}`);
+    removed.push(partition.name);
+  }
+
+  return removed;
+};
+
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => ensurePartitions().catch((err) => console.error('Partition job error:', err));
+
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  ensurePartitions,
+  listPartitions,
+  dropExpiredPartitions,
+};
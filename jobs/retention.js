@@ -0,0 +1,165 @@
+// Scheduled purge of events older than each app's retention_days. Fully
+// expired partitions are dropped first; remaining rows are removed in bounded
+// batches so no single statement holds long locks. An advisory lock keeps
+// several API instances from purging at the same time.
+
+const db = require('../config/database');
+const { EVENT_COLUMNS } = require('../services/events');
+const partitions = require('./partitions');
+
+const INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE, 10) || 5000;
+const ARCHIVE = process.env.RETENTION_MODE === 'archive';
+const LOCK_ID = 720101;
+// Named, since column order differs between fresh and migrated schemas
+const ARCHIVE_COLUMNS = ['event_id', ...EVENT_COLUMNS].join(', ');
+
+let timer = null;
+let running = false;
+
+// Delete (or move to the archive table) one batch of expired rows
+const purgeBatch = async (appId, retentionDays) => {
+  const expired = `
+    SELECT event_id FROM analytics_events
+    WHERE app_id = $1 AND timestamp < NOW() - make_interval(days => $2)
+    LIMIT $3
+  `;
+
+  const query = ARCHIVE
+    ? `WITH moved AS (
+         DELETE FROM analytics_events WHERE event_id IN (${expired})
+         RETURNING ${ARCHIVE_COLUMNS}
+       )
+       INSERT INTO analytics_events_archive (${ARCHIVE_COLUMNS}) SELECT ${ARCHIVE_COLUMNS} FROM moved`
+    : `DELETE FROM analytics_events WHERE event_id IN (${expired})`;
+
+  const result = await db.query(query, [appId, retentionDays, BATCH_SIZE]);
+  return result.rowCount;
+};
+
+const purgeLegacyBatch = async (appId, retentionDays) => {
+  const result = await db.query(
+    `DELETE FROM events WHERE id IN (
+       SELECT id FROM events
+       WHERE app_id = $1 AND created_at < NOW() - make_interval(days => $2)
+       LIMIT $3
+     )`,
+    [appId, retentionDays, BATCH_SIZE]
+  );
+  return result.rowCount;
+};
+
+const purgeSessionsBatch = async (appId, retentionDays) => {
+  const result = await db.query(
+    `DELETE FROM sessions WHERE session_id IN (
+       SELECT session_id FROM sessions
+       WHERE app_id = $1 AND started_at < NOW() - make_interval(days => $2)
+       LIMIT $3
+     )`,
+    [appId, retentionDays, BATCH_SIZE]
+  );
+  return result.rowCount;
+};
+
+const purgeApp = async ({ app_id: appId, retention_days: retentionDays }) => {
+  const run = await db.query(
+    `INSERT INTO retention_runs (app_id, mode, retention_days)
+     VALUES ($1, $2, $3)
+     RETURNING run_id`,
+    [appId, ARCHIVE ? 'archive' : 'purge', retentionDays]
+  );
+  const runId = run.rows[0].run_id;
+  let rowsRemoved = 0;
+
+  try {
+    for (const purge of [purgeBatch, purgeLegacyBatch, purgeSessionsBatch]) {
+      let count;
+      do {
+        count = await purge(appId, retentionDays);
+        rowsRemoved += count;
+      } while (count === BATCH_SIZE);
+    }
+
+    await db.query(
+      `UPDATE retention_runs SET finished_at = NOW(), rows_removed = $1 WHERE run_id = $2`,
+      [rowsRemoved, runId]
+    );
+  } catch (err) {
+    await db.query(
+      `UPDATE retention_runs SET finished_at = NOW(), rows_removed = $1, error = $2 WHERE run_id = $3`,
+      [rowsRemoved, err.message, runId]
+    );
+    throw err;
+  }
+
+  return rowsRemoved;
+};
+
+// Purge every app that has a retention period configured
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  let client;
+
+  try {
+    client = await db.pool.connect();
+
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_ID]);
+    if (!lock.rows[0].locked) {
+      return;
+    }
+
+    try {
+      // Whole expired partitions go first; row-level purging handles the rest
+      await partitions.dropExpiredPartitions();
+
+      const apps = await db.query(
+        'SELECT app_id, retention_days FROM apps WHERE retention_days IS NOT NULL'
+      );
+
+      for (const app of apps.rows) {
+        try {
+          const removed = await purgeApp(app);
+          if (removed > 0) {
+            console.log(`🧹 Retention: removed ${removed} events for app ${app.app_id}`);
+          }
+        } catch (err) {
+          console.error(`Retention error for app ${app.app_id}:`, err);
+        }
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  } finally {
+    if (client) {
+      client.release();
+    }
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => runOnce().catch((err) => console.error('Retention job error:', err));
+
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
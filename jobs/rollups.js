@@ -0,0 +1,171 @@
+// Incremental rollup maintenance. Each run rolls up completed hours since the
+// hourly watermark, then completed days since the daily watermark. The last
+// ROLLUP_LATE_HOURS hours are recomputed every run to pick up late events;
+// older hours that received events since they were rolled up are listed in
+// rollup_dirty_hours by the event inserts and rebuilt here.
+
+const db = require('../config/database');
+const {
+  SOURCES,
+  HOUR_MS,
+  DAY_MS,
+  floorTo,
+  parseTimestamp,
+  rollupHours,
+  rebuildHours,
+  markDirtyHours,
+  rollupDays,
+  getWatermarks,
+  setWatermark,
+} = require('../services/rollups');
+
+const INTERVAL_MS = parseInt(process.env.ROLLUP_INTERVAL_MS, 10) || 5 * 60 * 1000;
+const LATE_HOURS = parseInt(process.env.ROLLUP_LATE_HOURS, 10) || 2;
+const MAX_HOURS_PER_RUN = parseInt(process.env.ROLLUP_MAX_HOURS_PER_RUN, 10) || 48;
+const LOCK_ID = 720102;
+
+let timer = null;
+let running = false;
+
+const earliestEvent = async (source) => {
+  const result = await db.query(
+    `SELECT MIN(${source.time})::text AS earliest FROM ${source.table}`
+  );
+  return parseTimestamp(result.rows[0].earliest);
+};
+
+// Claim dirty hours before `until`, oldest first, as Map(appId -> [hour]).
+// They are removed before rebuilding, so events inserted meanwhile mark them again.
+const takeDirtyHours = async (sourceName, until) => {
+  const result = await db.query(
+    `DELETE FROM rollup_dirty_hours
+     WHERE (source, hour, app_id) IN (
+       SELECT source, hour, app_id FROM rollup_dirty_hours
+       WHERE source = $1 AND hour < $2
+       ORDER BY hour
+       LIMIT $3
+     )
+     RETURNING app_id, hour::text AS hour`,
+    [sourceName, until.toISOString(), MAX_HOURS_PER_RUN]
+  );
+
+  const byApp = new Map();
+  for (const row of result.rows) {
+    const hours = byApp.get(row.app_id) || [];
+    hours.push(parseTimestamp(row.hour));
+    byApp.set(row.app_id, hours);
+  }
+  return byApp;
+};
+
+const rollupSource = async (sourceName) => {
+  const marks = await getWatermarks(sourceName);
+  const now = floorTo(new Date(), HOUR_MS);
+
+  // Hourly: resume from the watermark (minus the late window), or from the first event
+  let from = marks.hour
+    ? new Date(marks.hour.getTime() - LATE_HOURS * HOUR_MS)
+    : await earliestEvent(SOURCES[sourceName]);
+
+  if (!from) {
+    return;
+  }
+
+  from = floorTo(from, HOUR_MS);
+  const to = new Date(Math.min(now.getTime(), from.getTime() + MAX_HOURS_PER_RUN * HOUR_MS));
+
+  // Hours from `from` on are rolled up below anyway; older ones are rebuilt per app
+  const dirty = await takeDirtyHours(sourceName, to);
+  for (const [appId, hours] of dirty) {
+    const stale = hours.filter((hour) => hour < from);
+    try {
+      if (stale.length > 0) {
+        await rebuildHours(sourceName, appId, stale);
+      }
+      dirty.delete(appId);
+    } catch (err) {
+      // Keep this and the remaining apps' hours for the next run
+      for (const [pendingAppId, pendingHours] of dirty) {
+        await markDirtyHours(db, sourceName, pendingAppId, pendingHours);
+      }
+      throw err;
+    }
+  }
+
+  for (let hour = from; hour < to; hour = new Date(hour.getTime() + HOUR_MS)) {
+    await rollupHours(sourceName, hour, new Date(hour.getTime() + HOUR_MS));
+  }
+
+  if (to > from) {
+    await setWatermark(sourceName, 'hour', to);
+  }
+
+  // Daily: merge every complete day covered by hourly rollups
+  const hourMark = to > from ? to : marks.hour;
+  const dayTo = floorTo(hourMark, DAY_MS);
+  const dayFrom = marks.day
+    ? floorTo(new Date(marks.day.getTime() - LATE_HOURS * HOUR_MS), DAY_MS)
+    : floorTo(from, DAY_MS);
+
+  for (let day = dayFrom; day < dayTo; day = new Date(day.getTime() + DAY_MS)) {
+    await rollupDays(sourceName, day, new Date(day.getTime() + DAY_MS));
+  }
+
+  if (dayTo > dayFrom) {
+    await setWatermark(sourceName, 'day', dayTo);
+  }
+};
+
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  let client;
+
+  try {
+    client = await db.pool.connect();
+
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_ID]);
+    if (!lock.rows[0].locked) {
+      return;
+    }
+
+    try {
+      for (const sourceName of Object.keys(SOURCES)) {
+        await rollupSource(sourceName);
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  } finally {
+    if (client) {
+      client.release();
+    }
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => runOnce().catch((err) => console.error('Rollup job error:', err));
+
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -0,0 +1,255 @@
+// Sessionization. Events for a visitor belong to the same session until a
+// gap of SESSION_TIMEOUT_MINUTES passes without activity. The job only looks
+// at events older than the timeout, so a session it extends can no longer
+// change from events still in flight; events arriving later than that are
+// not sessionized.
+
+const db = require('../config/database');
+const { parseTimestamp } = require('../services/rollups');
+
+const TIMEOUT_MINUTES = parseInt(process.env.SESSION_TIMEOUT_MINUTES, 10) || 30;
+const TIMEOUT_MS = TIMEOUT_MINUTES * 60 * 1000;
+const INTERVAL_MS = parseInt(process.env.SESSION_INTERVAL_MS, 10) || 5 * 60 * 1000;
+const STEP_MS = 60 * 60 * 1000;
+const MAX_STEPS_PER_RUN = 24;
+const LOCK_ID = 720103;
+const PAGE_VIEW = 'page_view';
+
+let timer = null;
+let running = false;
+
+const getWatermark = async () => {
+  const result = await db.query(
+    "SELECT rolled_until::text AS rolled_until FROM rollup_state WHERE source = 'sessions' AND granularity = 'event'"
+  );
+
+  if (result.rows.length > 0) {
+    return parseTimestamp(result.rows[0].rolled_until);
+  }
+
+  const earliest = await db.query('SELECT MIN(timestamp)::text AS earliest FROM analytics_events');
+  return parseTimestamp(earliest.rows[0].earliest);
+};
+
+// Latest session per visitor that could still be extended by events from `from`
+const loadOpenSessions = async (client, from, visitors) => {
+  const result = await client.query(
+    `SELECT DISTINCT ON (s.app_id, s.visitor_id)
+       s.session_id, s.app_id, s.visitor_id, s.started_at::text AS started_at,
+       s.ended_at::text AS ended_at, s.page_count, s.event_count, s.entry_page, s.exit_page
+     FROM sessions s
+     JOIN unnest($1::int[], $2::text[]) AS v(app_id, visitor_id)
+       ON v.app_id = s.app_id AND v.visitor_id = s.visitor_id
+     WHERE s.ended_at >= $3
+     ORDER BY s.app_id, s.visitor_id, s.ended_at DESC`,
+    [
+      visitors.map((visitor) => visitor.appId),
+      visitors.map((visitor) => visitor.visitorId),
+      new Date(from.getTime() - TIMEOUT_MS).toISOString(),
+    ]
+  );
+
+  const sessions = new Map();
+  for (const row of result.rows) {
+    sessions.set(`${row.app_id}:${row.visitor_id}`, {
+      sessionId: row.session_id,
+      startedAt: parseTimestamp(row.started_at),
+      endedAt: parseTimestamp(row.ended_at),
+      pageCount: row.page_count,
+      eventCount: row.event_count,
+      entryPage: row.entry_page,
+      exitPage: row.exit_page,
+      changed: false,
+    });
+  }
+  return sessions;
+};
+
+const saveSession = (client, appId, visitorId, session) => {
+  const durationSeconds = Math.round((session.endedAt - session.startedAt) / 1000);
+
+  if (session.sessionId) {
+    return client.query(
+      `UPDATE sessions
+       SET ended_at = $1, duration_seconds = $2, page_count = $3, event_count = $4,
+           entry_page = $5, exit_page = $6
+       WHERE session_id = $7`,
+      [
+        session.endedAt.toISOString(),
+        durationSeconds,
+        session.pageCount,
+        session.eventCount,
+        session.entryPage,
+        session.exitPage,
+        session.sessionId,
+      ]
+    );
+  }
+
+  return client.query(
+    `INSERT INTO sessions
+     (app_id, visitor_id, started_at, ended_at, duration_seconds, page_count, event_count,
+      entry_page, exit_page, referrer)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      appId,
+      visitorId,
+      session.startedAt.toISOString(),
+      session.endedAt.toISOString(),
+      durationSeconds,
+      session.pageCount,
+      session.eventCount,
+      session.entryPage,
+      session.exitPage,
+      session.referrer,
+    ]
+  );
+};
+
+// Fold events in [from, to) into sessions
+const sessionizeRange = async (from, to) => {
+  const events = await db.query(
+    `SELECT app_id, visitor_id, timestamp::text AS timestamp, event_name, url, referrer
+     FROM analytics_events
+     WHERE timestamp >= $1 AND timestamp < $2
+       AND visitor_id IS NOT NULL AND is_bot = false
+     ORDER BY app_id, visitor_id, timestamp`,
+    [from.toISOString(), to.toISOString()]
+  );
+
+  const byVisitor = new Map();
+  for (const row of events.rows) {
+    const key = `${row.app_id}:${row.visitor_id}`;
+    if (!byVisitor.has(key)) {
+      byVisitor.set(key, { appId: row.app_id, visitorId: row.visitor_id, events: [] });
+    }
+    byVisitor.get(key).events.push(row);
+  }
+
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const visitors = Array.from(byVisitor.values());
+    const open = visitors.length > 0 ? await loadOpenSessions(client, from, visitors) : new Map();
+
+    for (const [key, visitor] of byVisitor) {
+      let session = open.get(key) || null;
+
+      for (const event of visitor.events) {
+        const at = parseTimestamp(event.timestamp);
+        const isPage = event.event_name === PAGE_VIEW;
+
+        if (!session || at - session.endedAt > TIMEOUT_MS) {
+          if (session && session.changed) {
+            await saveSession(client, visitor.appId, visitor.visitorId, session);
+          }
+          session = {
+            sessionId: null,
+            startedAt: at,
+            endedAt: at,
+            pageCount: 0,
+            eventCount: 0,
+            entryPage: null,
+            exitPage: null,
+            referrer: event.referrer,
+          };
+        }
+
+        session.endedAt = at;
+        session.eventCount += 1;
+        session.changed = true;
+
+        if (isPage) {
+          session.pageCount += 1;
+          session.entryPage = session.entryPage || event.url;
+          session.exitPage = event.url;
+        }
+      }
+
+      if (session && session.changed) {
+        await saveSession(client, visitor.appId, visitor.visitorId, session);
+      }
+    }
+
+    await client.query(
+      `INSERT INTO rollup_state (source, granularity, rolled_until)
+       VALUES ('sessions', 'event', $1)
+       ON CONFLICT (source, granularity) DO UPDATE SET rolled_until = EXCLUDED.rolled_until`,
+      [to.toISOString()]
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  let client;
+
+  try {
+    client = await db.pool.connect();
+
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_ID]);
+    if (!lock.rows[0].locked) {
+      return;
+    }
+
+    try {
+      const from = await getWatermark();
+      const until = new Date(Date.now() - TIMEOUT_MS);
+
+      if (!from) {
+        return;
+      }
+
+      let start = from;
+      for (let step = 0; step < MAX_STEPS_PER_RUN && start < until; step++) {
+        const end = new Date(Math.min(start.getTime() + STEP_MS, until.getTime()));
+        await sessionizeRange(start, end);
+        start = end;
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  } finally {
+    if (client) {
+      client.release();
+    }
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => runOnce().catch((err) => console.error('Session job error:', err));
+
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  TIMEOUT_MINUTES,
+  start,
+  stop,
+  runOnce,
+};
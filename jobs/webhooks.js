@@ -0,0 +1,130 @@
+// Webhook delivery worker. Each run sends the due pending deliveries of
+// active webhooks; failures are rescheduled with exponential backoff and
+// marked 'dead' after WEBHOOK_MAX_ATTEMPTS. Delivered rows older than
+// WEBHOOK_HISTORY_DAYS are pruned.
+
+const db = require('../config/database');
+const webhooks = require('../services/webhooks');
+
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_INTERVAL_MS, 10) || 5 * 1000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 50;
+const HISTORY_DAYS = parseInt(process.env.WEBHOOK_HISTORY_DAYS, 10) || 30;
+const LOCK_ID = 720105;
+
+let timer = null;
+let running = false;
+
+const record = (delivery, result) => {
+  const now = new Date();
+
+  if (result.ok) {
+    return db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = attempts + 1, last_status_code = $1,
+           last_error = NULL, delivered_at = $2
+       WHERE delivery_id = $3`,
+      [result.statusCode, now.toISOString(), delivery.delivery_id]
+    );
+  }
+
+  const attempts = delivery.attempts + 1;
+  const dead = attempts >= webhooks.MAX_ATTEMPTS;
+
+  return db.query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = $2, last_status_code = $3, last_error = $4, next_attempt_at = $5
+     WHERE delivery_id = $6`,
+    [
+      dead ? 'dead' : 'pending',
+      attempts,
+      result.statusCode,
+      result.error,
+      new Date(now.getTime() + webhooks.backoffMs(attempts)).toISOString(),
+      delivery.delivery_id,
+    ]
+  );
+};
+
+const deliverDue = async () => {
+  const due = await db.query(
+    `SELECT d.delivery_id, d.kind, d.payload, d.attempts, d.created_at::text AS created_at,
+            w.url, w.secret
+     FROM webhook_deliveries d
+     JOIN webhooks w ON w.webhook_id = d.webhook_id
+     WHERE d.status = 'pending' AND d.next_attempt_at <= $1 AND w.is_active = true
+     ORDER BY d.next_attempt_at
+     LIMIT $2`,
+    [new Date().toISOString(), BATCH_SIZE]
+  );
+
+  await Promise.all(due.rows.map(async (delivery) => {
+    const result = await webhooks.send({
+      deliveryId: delivery.delivery_id,
+      kind: delivery.kind,
+      url: delivery.url,
+      secret: delivery.secret,
+      payload: delivery.payload,
+      createdAt: `${delivery.created_at.replace(' ', 'T')}Z`,
+    });
+    await record(delivery, result);
+  }));
+};
+
+const pruneHistory = () => db.query(
+  `DELETE FROM webhook_deliveries
+   WHERE status = 'delivered' AND delivered_at < $1`,
+  [new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString()]
+);
+
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  let client;
+
+  try {
+    client = await db.pool.connect();
+
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [LOCK_ID]);
+    if (!lock.rows[0].locked) {
+      return;
+    }
+
+    try {
+      await deliverDue();
+      await pruneHistory();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  } finally {
+    if (client) {
+      client.release();
+    }
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) {
+    return;
+  }
+
+  const tick = () => runOnce().catch((err) => console.error('Webhook job error:', err));
+
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
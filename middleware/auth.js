@@ -1,51 +1,124 @@
-const crypto = require('crypto');
 const db = require('../config/database');
+const { verifyAccessToken } = require('../services/users');
+const apiKeys = require('../services/apiKeys');
+const workspaces = require('../services/workspaces');
+const { limitRequests } = require('./rateLimit');
+
+// Signed-in members read an app's analytics with a bearer token and the app id
+// in the x-app-id header (or appId query parameter) instead of its API key
+const authenticateMember = async (req, res, next, authToken) => {
+  const claims = verifyAccessToken(authToken.slice('Bearer '.length));
+
+  if (!claims) {
+    return res.status(401).json({ error: 'Invalid or expired access token' });
+  }
+
+  const appId = req.headers['x-app-id'] || req.query.appId;
+
+  if (!appId) {
+    return res.status(400).json({ error: 'x-app-id header is required with a bearer token' });
+  }
+
+  const app = await workspaces.appAccess(Number(claims.sub), appId);
+
+  if (!app) {
+    return res.status(404).json({ error: 'App not found' });
+  }
+
+  req.userId = Number(claims.sub);
+  req.userEmail = claims.email;
+  req.userRole = app.role;
+  req.appId = app.app_id;
+  req.appName = app.app_name;
+  req.privacyMode = app.privacy_mode || 'off';
+
+  next();
+};
+
+// Keys issued before the api_keys table existed; they keep every scope until rotated
+const findLegacyKey = async (apiKey) => {
+  const result = await db.query(
+    `SELECT app_id, app_name, is_active, expires_at::text AS expires_at, privacy_mode
+     FROM apps
+     WHERE api_key_hash = $1`,
+    [apiKeys.hashKey(apiKey)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    ...result.rows[0],
+    key_id: null,
+    scopes: apiKeys.SCOPES,
+    allowed_origins: null,
+    revoked_at: null,
+  };
+};
+
+const limiters = {
+  ingest: limitRequests('ingest'),
+  query: limitRequests('query'),
+};
+
+// Validate the API key from the request header and require it to carry
+// `scope`, then apply the ingest or query rate limits
+const validateApiKey = (scope) => async (req, res, next) => {
+  const limit = scope === 'ingest' ? limiters.ingest : limiters.query;
 
-// Validate API key from request header
-const validateApiKey = async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'];
+    // Beacon collect routes also take the key from the body (middleware/beacon.js)
+    const apiKey = req.headers['x-api-key'] || req.beaconApiKey;
+    const authToken = req.headers['authorization'];
+
+    if (!apiKey && authToken && authToken.startsWith('Bearer ')) {
+      return await authenticateMember(req, res, () => limit(req, res, next), authToken);
+    }
 
     if (!apiKey) {
       return res.status(401).json({ error: 'API key is required in x-api-key header' });
     }
 
-    // Hash the provided API key
-    const hashedKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+    const key = (await apiKeys.findKey(apiKey)) || (await findLegacyKey(apiKey));
 
-    // Check if API key exists and is active
-    const result = await db.query(
-      `SELECT app_id, app_name, is_active, expires_at 
-       FROM apps 
-       WHERE api_key_hash = $1`,
-      [hashedKey]
-    );
-
-    if (result.rows.length === 0) {
+    if (!key) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
 
-    const app = result.rows[0];
-
-    if (!app.is_active) {
+    if (!key.is_active || key.revoked_at) {
       return res.status(403).json({ error: 'API key has been revoked' });
     }
 
-    if (new Date(app.expires_at) < new Date()) {
+    if (apiKeys.isExpired(key)) {
       return res.status(403).json({ error: 'API key has expired' });
     }
 
+    if (!key.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key does not have the ${scope} scope` });
+    }
+
+    if (!apiKeys.originAllowed(key, req.headers['origin'])) {
+      return res.status(403).json({ error: 'Origin is not allowed for this API key' });
+    }
+
+    if (key.key_id) {
+      apiKeys.touch(key);
+    }
+
     // Attach app info to request
-    req.appId = app.app_id;
-    req.appName = app.app_name;
+    req.appId = key.app_id;
+    req.appName = key.app_name;
+    req.privacyMode = key.privacy_mode || 'off';
+    req.apiKeyId = key.key_id;
 
-    next();
+    limit(req, res, next);
   } catch (err) {
     next(err);
   }
 };
 
-// Simple authentication middleware
+// Require a valid JWT access token in the Authorization header
 const authenticateUser = async (req, res, next) => {
   const authToken = req.headers['authorization'];
 
@@ -57,10 +130,85 @@ const authenticateUser = async (req, res, next) => {
     return res.status(401).json({ error: 'Invalid authorization format' });
   }
 
+  const claims = verifyAccessToken(authToken.slice('Bearer '.length));
+
+  if (!claims) {
+    return res.status(401).json({ error: 'Invalid or expired access token' });
+  }
+
+  req.userId = Number(claims.sub);
+  req.userEmail = claims.email;
+
   next();
 };
 
+// Require at least `role` from a member signed in with a bearer token.
+// API key callers pass: the key itself grants full access to its app.
+const requireRole = (role) => (req, res, next) => {
+  if (req.userRole && !workspaces.hasRole(req.userRole, role)) {
+    return res.status(403).json({ error: `This action requires the ${role} role` });
+  }
+
+  next();
+};
+
+// Require the authenticated user to hold at least `role` on the app named by
+// appId (body, params or query)
+const requireAppRole = (role) => async (req, res, next) => {
+  try {
+    const appId = (req.body && req.body.appId) || req.params.appId || req.query.appId;
+
+    if (!appId) {
+      return res.status(400).json({ error: 'appId is required' });
+    }
+
+    const app = await workspaces.appAccess(req.userId, appId);
+
+    // Apps the user cannot see look the same as missing ones
+    if (!app) {
+      return res.status(404).json({ error: 'App not found' });
+    }
+
+    if (!workspaces.hasRole(app.role, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+
+    req.ownedAppId = app.app_id;
+    req.userRole = app.role;
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Require the authenticated user to hold at least `role` in the workspace
+// named by the workspaceId route parameter
+const requireWorkspaceRole = (role) => async (req, res, next) => {
+  try {
+    const memberRole = await workspaces.workspaceRole(req.userId, req.params.workspaceId);
+
+    if (!memberRole) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    if (!workspaces.hasRole(memberRole, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+
+    req.workspaceId = Number(req.params.workspaceId);
+    req.userRole = memberRole;
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   validateApiKey,
   authenticateUser,
+  requireRole,
+  requireAppRole,
+  requireWorkspaceRole,
 };
\ No newline at end of file
@@ -0,0 +1,32 @@
+const express = require('express');
+
+const parseText = express.text({ type: 'text/plain', limit: '100kb' });
+
+// navigator.sendBeacon posts JSON as text/plain to avoid a CORS preflight and
+// cannot set headers, so the API key comes in the body. Only routes using this
+// parser accept a key there (req.beaconApiKey, read by validateApiKey).
+const parseBeaconBody = (req, res, next) => {
+  parseText(req, res, (err) => {
+    if (err) {
+      return next(err);
+    }
+
+    if (typeof req.body === 'string') {
+      try {
+        req.body = JSON.parse(req.body);
+      } catch (parseErr) {
+        return res.status(400).json({ error: 'Request body must be valid JSON' });
+      }
+    }
+
+    if (req.body && typeof req.body.apiKey === 'string') {
+      req.beaconApiKey = req.body.apiKey;
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  parseBeaconBody,
+};
@@ -0,0 +1,61 @@
+const usage = require('../services/usage');
+
+const secondsUntil = (date) => Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// IETF RateLimit header fields, as express-rate-limit's standardHeaders sends them
+const setHeaders = (res, state) => {
+  res.set('RateLimit-Limit', String(state.limit));
+  res.set('RateLimit-Remaining', String(state.remaining));
+  res.set('RateLimit-Reset', String(secondsUntil(state.resetAt)));
+};
+
+// Limit requests per credential and per app in `bucket` ('ingest' or 'query').
+// Ingest requests are also refused once the app's monthly event quota is used
+// up. Runs after authentication; a failing counter store lets requests through.
+const limitRequests = (bucket) => async (req, res, next) => {
+  // index.js's legacy verifyApiKey sets req.app_id
+  const appId = req.appId || req.app_id;
+  let state;
+
+  try {
+    state = await usage.hit(bucket, { appId, apiKeyId: req.apiKeyId, userId: req.userId });
+  } catch (err) {
+    console.error('Rate limit error:', err);
+    return next();
+  }
+
+  if (state) {
+    setHeaders(res, state);
+
+    if (state.exceeded) {
+      res.set('Retry-After', String(secondsUntil(state.resetAt)));
+      return res.status(429).json({ error: 'Too many requests, please try again later.' });
+    }
+  }
+
+  if (bucket !== 'ingest') {
+    usage.recordQuery(appId);
+    return next();
+  }
+
+  try {
+    const monthly = await usage.monthlyUsage(appId);
+
+    if (monthly.quota !== null && monthly.events >= monthly.quota) {
+      res.set('Retry-After', String(secondsUntil(monthly.resetAt)));
+      return res.status(429).json({
+        error: 'Monthly event quota exceeded',
+        quota: monthly.quota,
+        resetAt: monthly.resetAt,
+      });
+    }
+  } catch (err) {
+    console.error('Quota check error:', err);
+  }
+
+  next();
+};
+
+module.exports = {
+  limitRequests,
+};
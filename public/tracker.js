@@ -0,0 +1,150 @@
+/*
+ * Website Analytics tracker
+ *
+ * <script async src="https://your-api-host/tracker.js" data-key="YOUR_API_KEY"></script>
+ *
+ * Optional attributes:
+ *   data-endpoint      API origin (defaults to the script's origin)
+ *   data-auto="false"  disable automatic page_view tracking
+ */
+(function (window, document) {
+  'use strict';
+
+  var VERSION = '1.1.0';
+  var FLUSH_INTERVAL = 5000;
+  var MAX_QUEUE = 20;
+
+  if (window.analytics && window.analytics.version) {
+    return;
+  }
+
+  var script = document.currentScript
+    || document.querySelector('script[data-key][src*="tracker"]');
+
+  if (!script) {
+    return;
+  }
+
+  var apiKey = script.getAttribute('data-key');
+  var endpoint = script.getAttribute('data-endpoint')
+    || script.src.replace(/\/tracker(\/v\d+)?\.js.*$/, '');
+  var autoTrack = script.getAttribute('data-auto') !== 'false';
+  var collectUrl = endpoint + '/api/analytics/collect/batch';
+
+  if (!apiKey) {
+    return;
+  }
+
+  var queue = [];
+  var lastUrl = null;
+  var lastReferrer = document.referrer || null;
+
+  var send = function (events, useBeacon) {
+    if (useBeacon && navigator.sendBeacon) {
+      // Beacons cannot set headers, so the key travels in a text/plain body
+      var body = JSON.stringify({ apiKey: apiKey, events: events });
+      if (navigator.sendBeacon(collectUrl, new Blob([body], { type: 'text/plain' }))) {
+        return;
+      }
+    }
+
+    if (!window.fetch) {
+      return;
+    }
+
+    window.fetch(collectUrl, {
+      method: 'POST',
+      keepalive: true,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+      },
+      body: JSON.stringify({ events: events }),
+    }).catch(function () {});
+  };
+
+  var flush = function (useBeacon) {
+    if (queue.length === 0) {
+      return;
+    }
+    send(queue.splice(0, queue.length), useBeacon);
+  };
+
+  var track = function (name, metadata) {
+    // Device, browser and OS are derived server-side from the User-Agent
+    var data = {
+      language: navigator.language,
+      screen: window.screen ? window.screen.width + 'x' + window.screen.height : undefined,
+      title: document.title,
+      tracker_version: VERSION,
+    };
+
+    if (metadata) {
+      for (var key in metadata) {
+        if (Object.prototype.hasOwnProperty.call(metadata, key)) {
+          data[key] = metadata[key];
+        }
+      }
+    }
+
+    queue.push({
+      event: name,
+      url: window.location.href,
+      referrer: lastReferrer,
+      timestamp: new Date().toISOString(),
+      metadata: data,
+    });
+
+    if (queue.length >= MAX_QUEUE) {
+      flush(false);
+    }
+  };
+
+  var trackPageView = function () {
+    var url = window.location.href;
+    if (url === lastUrl) {
+      return;
+    }
+    if (lastUrl) {
+      lastReferrer = lastUrl;
+    }
+    lastUrl = url;
+    track('page_view');
+  };
+
+  // Capture SPA navigations done through the History API
+  var wrapHistory = function (method) {
+    var original = window.history[method];
+    if (!original) {
+      return;
+    }
+    window.history[method] = function () {
+      var result = original.apply(this, arguments);
+      trackPageView();
+      return result;
+    };
+  };
+
+  window.analytics = {
+    version: VERSION,
+    track: track,
+    trackPageView: trackPageView,
+    flush: function () { flush(false); },
+  };
+
+  if (autoTrack) {
+    wrapHistory('pushState');
+    wrapHistory('replaceState');
+    window.addEventListener('popstate', trackPageView);
+    trackPageView();
+  }
+
+  setInterval(function () { flush(false); }, FLUSH_INTERVAL);
+
+  document.addEventListener('visibilitychange', function () {
+    if (document.visibilityState === 'hidden') {
+      flush(true);
+    }
+  });
+  window.addEventListener('pagehide', function () { flush(true); });
+})(window, document);
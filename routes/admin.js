@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { validateApiKey, requireRole } = require('../middleware/auth');
+
+// Show retention setting, oldest surviving event and the last purge run
+router.get('/retention', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const appId = req.appId;
+
+    const [app, oldest, lastRun] = await Promise.all([
+      db.query('SELECT retention_days FROM apps WHERE app_id = $1', [appId]),
+      db.query('SELECT MIN(timestamp) as oldest_event FROM analytics_events WHERE app_id = $1', [appId]),
+      db.query(
+        `SELECT run_id, mode, retention_days, started_at, finished_at, rows_removed, error
+         FROM retention_runs
+         WHERE app_id = $1
+         ORDER BY started_at DESC
+         LIMIT 1`,
+        [appId]
+      ),
+    ]);
+
+    res.json({
+      app: req.appName,
+      retentionDays: app.rows[0] ? app.rows[0].retention_days : null,
+      oldestEvent: oldest.rows[0].oldest_event,
+      lastRun: lastRun.rows[0] || null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update the retention period (null keeps events forever)
+router.put('/retention', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const { retentionDays } = req.body;
+
+    if (retentionDays !== null && (!Number.isInteger(retentionDays) || retentionDays < 1)) {
+      return res.status(400).json({ error: 'retentionDays must be a positive integer or null' });
+    }
+
+    const result = await db.query(
+      `UPDATE apps SET retention_days = $1, updated_at = NOW()
+       WHERE app_id = $2
+       RETURNING app_id, app_name, retention_days`,
+      [retentionDays, req.appId]
+    );
+
+    res.json({
+      message: 'Retention policy updated successfully',
+      app: result.rows[0],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { validateApiKey, requireRole } = require('../middleware/auth');
+const { DEFAULTS, validateRule } = require('../services/alerts');
+
+const RULE_COLUMNS = `rule_id, name, event_name, condition, threshold, window_minutes,
+  baseline_offset_minutes, cooldown_minutes, is_active, state, last_checked_at, last_fired_at,
+  created_at, updated_at`;
+
+const ruleParams = (body) => [
+  body.name,
+  body.event,
+  body.condition,
+  body.threshold,
+  body.windowMinutes || DEFAULTS.windowMinutes,
+  body.baselineOffsetMinutes || DEFAULTS.baselineOffsetMinutes,
+  body.cooldownMinutes === undefined ? DEFAULTS.cooldownMinutes : body.cooldownMinutes,
+  body.isActive !== false,
+];
+
+// Create an alert rule
+router.post('/', validateApiKey('admin'), requireRole('analyst'), async (req, res, next) => {
+  try {
+    const validationError = validateRule(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await db.query(
+      `INSERT INTO alert_rules
+       (name, event_name, condition, threshold, window_minutes, baseline_offset_minutes,
+        cooldown_minutes, is_active, app_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING ${RULE_COLUMNS}`,
+      [...ruleParams(req.body), req.appId]
+    );
+
+    res.status(201).json({
+      message: 'Alert rule created successfully',
+      rule: result.rows[0],
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'An alert rule with this name already exists' });
+    }
+    next(err);
+  }
+});
+
+// List alert rules
+router.get('/', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT ${RULE_COLUMNS} FROM alert_rules WHERE app_id = $1 ORDER BY name`,
+      [req.appId]
+    );
+
+    res.json({ rules: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Replace an alert rule
+router.put('/:ruleId', validateApiKey('admin'), requireRole('analyst'), async (req, res, next) => {
+  try {
+    const validationError = validateRule(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // A changed rule starts over from 'ok'
+    const result = await db.query(
+      `UPDATE alert_rules
+       SET name = $1, event_name = $2, condition = $3, threshold = $4, window_minutes = $5,
+           baseline_offset_minutes = $6, cooldown_minutes = $7, is_active = $8,
+           state = 'ok', updated_at = NOW()
+       WHERE rule_id = $9 AND app_id = $10
+       RETURNING ${RULE_COLUMNS}`,
+      [...ruleParams(req.body), req.params.ruleId, req.appId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({
+      message: 'Alert rule updated successfully',
+      rule: result.rows[0],
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'An alert rule with this name already exists' });
+    }
+    next(err);
+  }
+});
+
+// Delete an alert rule and its firing history
+router.delete('/:ruleId', validateApiKey('admin'), requireRole('analyst'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM alert_rules WHERE rule_id = $1 AND app_id = $2',
+      [req.params.ruleId, req.appId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({ message: 'Alert rule deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get the firing history of an alert rule
+router.get('/:ruleId/firings', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const result = await db.query(
+      `SELECT firing_id, value, baseline, fired_at
+       FROM alert_firings
+       WHERE rule_id = $1 AND app_id = $2
+       ORDER BY fired_at DESC
+       LIMIT $3 OFFSET $4`,
+      [req.params.ruleId, req.appId, limit, offset]
+    );
+
+    res.json({
+      firings: result.rows,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,48 +1,173 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { validateApiKey } = require('../middleware/auth');
+const { validateApiKey, requireRole } = require('../middleware/auth');
+const { BOT_ACTION, botFilter } = require('../services/bots');
+const rollups = require('../services/rollups');
+const hll = require('../services/hll');
+const { TIMEOUT_MINUTES } = require('../jobs/sessions');
+const {
+  GRANULARITIES,
+  MAX_PERIODS,
+  buildCohortQueries,
+  buildMatrix,
+} = require('../services/cohorts');
+const { MAX_STEPS, buildPathQuery, formatPaths } = require('../services/paths');
+const {
+  MODELS,
+  DEFAULT_LOOKBACK_DAYS,
+  MAX_LOOKBACK_DAYS,
+  buildConversionQuery,
+  formatConversions,
+} = require('../services/attribution');
+const {
+  validateDateRange,
+  dateFilter,
+  validateQuery,
+  compileQuery,
+  formatRows,
+} = require('../services/query');
+const {
+  validateComparison,
+  resolveComparison,
+  compareRows,
+  alignBuckets,
+} = require('../services/compare');
+const {
+  DEFAULT_LIMIT: SERIES_DEFAULT_LIMIT,
+  validateSeries,
+  resolveRange,
+  buildSeries,
+} = require('../services/timeseries');
+const live = require('../services/live');
+const ingest = require('../services/ingest');
+const usage = require('../services/usage');
+const { parseBeaconBody } = require('../middleware/beacon');
+const {
+  validateEvent,
+  enrichEvent,
+  toEventRow,
+} = require('../services/events');
+
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE, 10) || 500;
+const MAX_LIMIT = 1000;
+const LIVE_HEARTBEAT_MS = 15000;
+
+// The ?limit= of a report, or null when it is not an integer from 1 to MAX_LIMIT
+const parseLimit = (value, defaultLimit) => {
+  if (value === undefined) {
+    return defaultLimit;
+  }
+
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_LIMIT ? limit : null;
+};
+
+// Events are written by services/ingest.js after the response is sent
+const queueItem = (appId, event) => ({
+  target: 'analytics_events',
+  appId,
+  row: toEventRow(appId, event),
+  live: live.toLiveEvent(null, event),
+});
 
 // Collect analytics event
-router.post('/collect', validateApiKey, async (req, res, next) => {
+router.post('/collect', validateApiKey('ingest'), requireRole('admin'), async (req, res, next) => {
   try {
-    const {
-      event,
-      url,
-      referrer,
-      device,
-      ipAddress,
-      timestamp,
-      metadata,
-    } = req.body;
+    const validationError = validateEvent(req.body);
 
-    if (!event || !url) {
-      return res.status(400).json({ error: 'event and url are required' });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
     const appId = req.appId;
+    const event = await enrichEvent(req.body, req);
 
-    // Insert event into database
-    const result = await db.query(
-      `INSERT INTO analytics_events 
-       (app_id, event_name, url, referrer, device, ip_address, timestamp, metadata)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING event_id`,
-      [
-        appId,
-        event,
-        url,
-        referrer || null,
-        device || null,
-        ipAddress || null,
-        timestamp || new Date().toISOString(),
-        metadata ? JSON.stringify(metadata) : null,
-      ]
-    );
+    if (event.isBot && BOT_ACTION === 'drop') {
+      return res.status(202).json({
+        message: 'Event ignored as bot traffic',
+        reason: event.botReason,
+      });
+    }
+
+    if (!ingest.enqueue([queueItem(appId, event)])) {
+      res.set('Retry-After', '1');
+      return res.status(503).json({ error: 'Ingestion is busy, please retry shortly' });
+    }
+
+    usage.recordEvents(appId, 1);
+
+    res.status(202).json({
+      message: 'Event accepted',
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Collect a batch of analytics events
+router.post('/collect/batch', parseBeaconBody, validateApiKey('ingest'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const { events } = req.body;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ error: 'events must be a non-empty array' });
+    }
+
+    if (events.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({
+        error: `A batch may contain at most ${MAX_BATCH_SIZE} events`,
+      });
+    }
+
+    const appId = req.appId;
+    const results = [];
+    const items = [];
+
+    for (const [index, payload] of events.entries()) {
+      const validationError = validateEvent(payload);
+
+      if (validationError) {
+        results[index] = { index, status: 'rejected', error: validationError };
+        continue;
+      }
+
+      const event = await enrichEvent(payload, req);
 
-    res.status(201).json({
-      message: 'Event recorded successfully',
-      eventId: result.rows[0].event_id,
+      if (event.isBot && BOT_ACTION === 'drop') {
+        results[index] = { index, status: 'dropped', reason: event.botReason };
+        continue;
+      }
+
+      items.push(queueItem(appId, event));
+      results[index] = { index, status: 'accepted' };
+    }
+
+    if (items.length > 0) {
+      if (!ingest.enqueue(items)) {
+        res.set('Retry-After', '1');
+        return res.status(503).json({ error: 'Ingestion is busy, please retry shortly' });
+      }
+
+      usage.recordEvents(appId, items.length);
+    }
+
+    const accepted = items.length;
+    const rejected = results.filter((result) => result.status === 'rejected').length;
+    const dropped = events.length - accepted - rejected;
+    let status = 202;
+
+    if (accepted === 0 && dropped === 0) {
+      status = 400;
+    } else if (rejected > 0) {
+      status = 207;
+    }
+
+    res.status(status).json({
+      accepted,
+      rejected,
+      dropped,
+      results,
     });
   } catch (err) {
     next(err);
@@ -50,60 +175,63 @@ router.post('/collect', validateApiKey, async (req, res, next) => {
 });
 
 // Get event summary with aggregation
-router.get('/event-summary', validateApiKey, async (req, res, next) => {
+router.get('/event-summary', validateApiKey('read'), async (req, res, next) => {
   try {
-    const { event, startDate, endDate, app_id } = req.query;
-    const appId = app_id || req.appId;
+    const { event, startDate, endDate } = req.query;
+    const appId = req.appId;
 
     if (!event) {
       return res.status(400).json({ error: 'event parameter is required' });
     }
 
-    let query = `
-      SELECT 
-        event_name,
-        COUNT(*) as count,
-        COUNT(DISTINCT ip_address) as unique_users,
-        jsonb_object_agg(
-          COALESCE(device::text, 'unknown'),
-          device_count
-        ) as device_data
-      FROM (
-        SELECT 
-          event_name,
-          ip_address,
-          device,
-          COUNT(*) as device_count
-        FROM analytics_events
-        WHERE app_id = $1 AND event_name = $2
-    `;
+    const compareError = validateComparison(req.query);
+    if (compareError) {
+      return res.status(400).json({ error: compareError });
+    }
 
-    const params = [appId, event];
-    let paramCount = 2;
+    const comparison = resolveComparison(req.query);
 
-    if (startDate) {
-      paramCount++;
-      query += ` AND timestamp >= $${paramCount}`;
-      params.push(startDate);
-    }
+    // Whole buckets come from rollups, partial edges from raw events
+    const summarize = async (range) => {
+      const rows = await rollups.aggregate({
+        appId,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        dimensions: ['device'],
+        filters: { event_name: event },
+        includeBots: req.query.include_bots === 'true',
+      });
 
-    if (endDate) {
-      paramCount++;
-      query += ` AND timestamp <= $${paramCount}`;
-      params.push(endDate);
-    }
+      return {
+        devices: rows.map((row) => ({ device: row.device || 'unknown', count: row.count })),
+        count: rows.reduce((total, row) => total + row.count, 0),
+        unique_users: hll.estimate(hll.merge(rows.map((row) => row.sketch))),
+      };
+    };
 
-    query += `
-        GROUP BY event_name, ip_address, device
-      ) sub
-      GROUP BY event_name
-    `;
+    const current = await summarize(comparison ? comparison.current : { startDate, endDate });
 
-    const result = await db.query(query, params);
+    const deviceData = {};
+    current.devices.forEach((row) => {
+      deviceData[row.device] = row.count;
+    });
 
-    const response = result.rows.length > 0
-      ? result.rows[0]
-      : { event_name: event, count: 0, unique_users: 0, device_data: {} };
+    const response = {
+      event_name: event,
+      count: current.count,
+      unique_users: current.unique_users,
+      device_data: deviceData,
+    };
+
+    if (comparison) {
+      const previous = await summarize(comparison.previous);
+
+      response.comparison = {
+        ...comparison,
+        totals: compareRows([current], [previous], { keys: [], metrics: ['count', 'unique_users'] })[0],
+        rows: compareRows(current.devices, previous.devices, { keys: ['device'], metrics: ['count'] }),
+      };
+    }
 
     res.json(response);
   } catch (err) {
@@ -112,7 +240,7 @@ router.get('/event-summary', validateApiKey, async (req, res, next) => {
 });
 
 // Get user statistics
-router.get('/user-stats', validateApiKey, async (req, res, next) => {
+router.get('/user-stats', validateApiKey('read'), async (req, res, next) => {
   try {
     const { userId } = req.query;
     const appId = req.appId;
@@ -123,25 +251,29 @@ router.get('/user-stats', validateApiKey, async (req, res, next) => {
 
     const result = await db.query(
       `SELECT 
-         ip_address as user_id,
+         visitor_id as user_id,
          COUNT(*) as total_events,
          jsonb_object_agg(event_name, event_count) as event_breakdown,
          MAX(device) as device,
-         MAX(metadata->>'browser') as browser,
-         MAX(metadata->>'os') as os,
+         MAX(browser) as browser,
+         MAX(os) as os,
          MAX(ip_address) as ip_address
        FROM (
          SELECT 
+           visitor_id,
            ip_address,
            event_name,
            COUNT(*) as event_count,
            device,
-           metadata
+           COALESCE(browser, metadata->>'browser') as browser,
+           COALESCE(os, metadata->>'os') as os
          FROM analytics_events
-         WHERE app_id = $1 AND ip_address = $2
-         GROUP BY ip_address, event_name, device, metadata
+         WHERE app_id = $1 AND (visitor_id = $2 OR ip_address = $2)${botFilter(req.query)}
+         GROUP BY visitor_id, ip_address, event_name, device,
+           COALESCE(browser, metadata->>'browser'),
+           COALESCE(os, metadata->>'os')
        ) sub
-       GROUP BY ip_address`,
+       GROUP BY visitor_id`,
       [appId, userId]
     );
 
@@ -155,54 +287,614 @@ router.get('/user-stats', validateApiKey, async (req, res, next) => {
   }
 });
 
-// Get time-based analytics
-router.get('/time-series', validateApiKey, async (req, res, next) => {
+// Get time-based analytics: one zero-filled bucket per interval, oldest first
+router.get('/time-series', validateApiKey('read'), async (req, res, next) => {
   try {
-    const { event, startDate, endDate, interval } = req.query;
+    const { event, startDate, endDate } = req.query;
     const appId = req.appId;
 
     if (!event) {
       return res.status(400).json({ error: 'event parameter is required' });
     }
 
-    const intervalType = interval || 'day';
+    const options = {
+      interval: req.query.interval || 'day',
+      timezone: req.query.timezone || 'UTC',
+      limit: req.query.limit === undefined ? SERIES_DEFAULT_LIMIT : Number(req.query.limit),
+      offset: req.query.offset === undefined ? 0 : Number(req.query.offset),
+    };
+
+    const error = validateSeries(options) || validateComparison(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    let query = `
-      SELECT 
-        date_trunc($1, timestamp) as time_bucket,
-        COUNT(*) as count,
-        COUNT(DISTINCT ip_address) as unique_users
-      FROM analytics_events
-      WHERE app_id = $2 AND event_name = $3
-    `;
+    const comparison = resolveComparison(req.query);
 
-    const params = [intervalType, appId, event];
-    let paramCount = 3;
+    const series = async (range) => {
+      const resolved = await resolveRange(appId, range);
+      const rangeError = validateSeries({ ...options, ...resolved });
 
-    if (startDate) {
-      paramCount++;
-      query += ` AND timestamp >= $${paramCount}`;
-      params.push(startDate);
+      if (rangeError) {
+        return { error: rangeError };
+      }
+
+      return buildSeries({
+        appId,
+        event,
+        ...options,
+        ...resolved,
+        includeBots: req.query.include_bots === 'true',
+      });
+    };
+
+    const current = await series(comparison ? comparison.current : { startDate, endDate });
+    if (current.error) {
+      return res.status(400).json({ error: current.error });
     }
 
-    if (endDate) {
-      paramCount++;
-      query += ` AND timestamp <= $${paramCount}`;
-      params.push(endDate);
+    const response = {
+      timeSeries: current.buckets,
+      interval: options.interval,
+      timezone: options.timezone,
+      pagination: {
+        limit: options.limit,
+        offset: options.offset,
+        total: current.total,
+        hasMore: options.offset + current.buckets.length < current.total,
+      },
+    };
+
+    if (comparison) {
+      const previous = await series(comparison.previous);
+      if (previous.error) {
+        return res.status(400).json({ error: previous.error });
+      }
+
+      response.comparison = {
+        ...comparison,
+        buckets: alignBuckets(current.buckets, previous.buckets, {
+          metrics: ['count', 'unique_users'],
+          offset: options.offset,
+        }),
+      };
     }
 
-    query += `
-      GROUP BY time_bucket
-      ORDER BY time_bucket DESC
-      LIMIT 100
-    `;
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get session metrics: bounce rate, average duration and pages per session
+router.get('/sessions/summary', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const appId = req.appId;
+
+    const rangeError = validateDateRange(req.query) || validateComparison(req.query);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const comparison = resolveComparison(req.query);
+
+    const summarize = async (range) => {
+      let query = `
+        SELECT 
+          COUNT(*) as sessions,
+          COUNT(DISTINCT visitor_id) as unique_users,
+          COALESCE(AVG(CASE WHEN page_count <= 1 THEN 1 ELSE 0 END), 0) as bounce_rate,
+          COALESCE(AVG(duration_seconds), 0) as avg_duration_seconds,
+          COALESCE(AVG(page_count), 0) as pages_per_session
+        FROM sessions
+        WHERE app_id = $1
+      `;
+
+      const params = [appId];
+      query += dateFilter('started_at', range, params);
+
+      const result = await db.query(query, params);
+      const row = result.rows[0];
+
+      return {
+        sessions: Number(row.sessions),
+        unique_users: Number(row.unique_users),
+        bounce_rate: Number(row.bounce_rate),
+        avg_duration_seconds: Number(row.avg_duration_seconds),
+        pages_per_session: Number(row.pages_per_session),
+      };
+    };
+
+    const current = await summarize(comparison ? comparison.current : { startDate, endDate });
 
-    const result = await db.query(query, params);
+    const response = {
+      ...current,
+      session_timeout_minutes: TIMEOUT_MINUTES,
+    };
 
-    res.json({ timeSeries: result.rows });
+    if (comparison) {
+      const previous = await summarize(comparison.previous);
+
+      response.comparison = {
+        ...comparison,
+        totals: compareRows([current], [previous], { keys: [], metrics: Object.keys(current) })[0],
+      };
+    }
+
+    res.json(response);
   } catch (err) {
     next(err);
   }
 });
 
+// Get cohort retention: visitors grouped by first cohort event, counted per later period
+router.get('/retention', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const { cohortEvent, returnEvent, startDate, endDate } = req.query;
+    const granularity = req.query.granularity || 'week';
+    const appId = req.appId;
+
+    if (!cohortEvent || !returnEvent) {
+      return res.status(400).json({ error: 'cohortEvent and returnEvent are required' });
+    }
+
+    if (!GRANULARITIES[granularity]) {
+      return res.status(400).json({
+        error: `granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}`,
+      });
+    }
+
+    const periods = req.query.periods
+      ? parseInt(req.query.periods, 10)
+      : GRANULARITIES[granularity].defaultPeriods;
+
+    if (!Number.isInteger(periods) || periods < 1 || periods > MAX_PERIODS) {
+      return res.status(400).json({ error: `periods must be between 1 and ${MAX_PERIODS}` });
+    }
+
+    const compareError = validateComparison(req.query);
+    if (compareError) {
+      return res.status(400).json({ error: compareError });
+    }
+
+    const comparison = resolveComparison(req.query);
+
+    const cohortsFor = async (range) => {
+      const queries = buildCohortQueries({
+        appId,
+        cohortEvent,
+        returnEvent,
+        granularity,
+        periods,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        includeBots: req.query.include_bots === 'true',
+      });
+
+      const [sizes, returns] = await Promise.all([
+        db.query(queries.sizes.text, queries.sizes.params),
+        db.query(queries.returns.text, queries.returns.params),
+      ]);
+
+      return buildMatrix({
+        granularity,
+        periods,
+        sizes: sizes.rows,
+        returns: returns.rows,
+      });
+    };
+
+    // Cohorts of the two ranges differ, so they are compared on their
+    // combined retention per period
+    const curve = (cohorts) => {
+      const size = cohorts.reduce((total, cohort) => total + cohort.size, 0);
+      return Array.from({ length: periods }, (_, i) => {
+        const visitors = cohorts.reduce((total, cohort) => total + cohort.retention[i].visitors, 0);
+        return { period: i + 1, visitors, rate: size > 0 ? visitors / size : 0 };
+      });
+    };
+
+    const cohorts = await cohortsFor(comparison ? comparison.current : { startDate, endDate });
+    const response = {
+      cohortEvent,
+      returnEvent,
+      granularity,
+      periods,
+      cohorts,
+    };
+
+    if (comparison) {
+      const previous = await cohortsFor(comparison.previous);
+      const sizeOf = (rows) => ({ visitors: rows.reduce((total, cohort) => total + cohort.size, 0) });
+
+      response.comparison = {
+        ...comparison,
+        totals: compareRows([sizeOf(cohorts)], [sizeOf(previous)], { keys: [], metrics: ['visitors'] })[0],
+        rows: compareRows(curve(cohorts), curve(previous), {
+          keys: ['period'],
+          metrics: ['visitors', 'rate'],
+        }),
+      };
+    }
+
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get user-journey paths around a page or event (bots are always excluded)
+router.get('/paths', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const { url, event, startDate, endDate } = req.query;
+    const direction = req.query.direction || 'next';
+    const steps = parseInt(req.query.steps, 10) || 3;
+    const limit = parseLimit(req.query.limit, 10);
+
+    if (!url === !event) {
+      return res.status(400).json({ error: 'Exactly one of url or event is required' });
+    }
+
+    if (!['next', 'previous'].includes(direction)) {
+      return res.status(400).json({ error: 'direction must be next or previous' });
+    }
+
+    if (steps < 1 || steps > MAX_STEPS) {
+      return res.status(400).json({ error: `steps must be between 1 and ${MAX_STEPS}` });
+    }
+
+    if (limit === null) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const compareError = validateComparison(req.query);
+    if (compareError) {
+      return res.status(400).json({ error: compareError });
+    }
+
+    const comparison = resolveComparison(req.query);
+
+    const pathsFor = async (range) => {
+      const query = buildPathQuery({
+        appId: req.appId,
+        by: url ? 'url' : 'event',
+        anchor: url || event,
+        direction,
+        steps,
+        limit,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        timeoutMinutes: TIMEOUT_MINUTES,
+      });
+
+      const result = await db.query(query.text, query.params);
+      return formatPaths(result.rows, direction);
+    };
+
+    const paths = await pathsFor(comparison ? comparison.current : { startDate, endDate });
+    const response = {
+      anchor: url || event,
+      by: url ? 'url' : 'event',
+      direction,
+      steps,
+      ...paths,
+    };
+
+    // Sequences and the Sankey graph are not compared, only the step
+    // distributions around the anchor
+    if (comparison) {
+      const previous = await pathsFor(comparison.previous);
+      const metrics = ['count', 'share'];
+
+      response.comparison = {
+        ...comparison,
+        totals: compareRows([paths], [previous], { keys: [], metrics: ['total'] })[0],
+        previous: compareRows(paths.previous, previous.previous, { keys: ['node'], metrics }),
+        next: compareRows(paths.next, previous.next, { keys: ['node'], metrics }),
+      };
+    }
+
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get top traffic sources (entrances from search, social, referrals, campaigns and direct)
+router.get('/sources', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const limit = parseLimit(req.query.limit, 20);
+    const appId = req.appId;
+
+    if (limit === null) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const rangeError = validateDateRange(req.query) || validateComparison(req.query);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const comparison = resolveComparison(req.query);
+
+    const breakdown = async (range) => {
+      let query = `
+        SELECT 
+          traffic_source as source,
+          traffic_medium as medium,
+          COUNT(*) as visits,
+          COUNT(DISTINCT visitor_id) as unique_users
+        FROM analytics_events
+        WHERE app_id = $1 AND event_name = 'page_view'
+          AND traffic_source IS NOT NULL${botFilter(req.query)}
+      `;
+
+      const params = [appId];
+      query += dateFilter('timestamp', range, params);
+
+      query += ` GROUP BY traffic_source, traffic_medium ORDER BY visits DESC LIMIT $${params.length + 1}`;
+      params.push(limit);
+
+      const result = await db.query(query, params);
+      return result.rows;
+    };
+
+    const current = await breakdown(comparison ? comparison.current : { startDate, endDate });
+    const response = { sources: current };
+
+    if (comparison) {
+      const previous = await breakdown(comparison.previous);
+
+      response.comparison = {
+        ...comparison,
+        rows: compareRows(current, previous, {
+          keys: ['source', 'medium'],
+          metrics: ['visits', 'unique_users'],
+        }),
+      };
+    }
+
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get top UTM campaigns
+router.get('/campaigns', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const limit = parseLimit(req.query.limit, 20);
+    const appId = req.appId;
+
+    if (limit === null) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    const rangeError = validateDateRange(req.query) || validateComparison(req.query);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    const comparison = resolveComparison(req.query);
+
+    const breakdown = async (range) => {
+      let query = `
+        SELECT 
+          utm_campaign as campaign,
+          utm_source as source,
+          utm_medium as medium,
+          COUNT(*) as visits,
+          COUNT(DISTINCT visitor_id) as unique_users
+        FROM analytics_events
+        WHERE app_id = $1 AND event_name = 'page_view'
+          AND utm_campaign IS NOT NULL${botFilter(req.query)}
+      `;
+
+      const params = [appId];
+      query += dateFilter('timestamp', range, params);
+
+      query += ` GROUP BY utm_campaign, utm_source, utm_medium ORDER BY visits DESC LIMIT $${params.length + 1}`;
+      params.push(limit);
+
+      const result = await db.query(query, params);
+      return result.rows;
+    };
+
+    const current = await breakdown(comparison ? comparison.current : { startDate, endDate });
+    const response = { campaigns: current };
+
+    if (comparison) {
+      const previous = await breakdown(comparison.previous);
+
+      response.comparison = {
+        ...comparison,
+        rows: compareRows(current, previous, {
+          keys: ['campaign', 'source', 'medium'],
+          metrics: ['visits', 'unique_users'],
+        }),
+      };
+    }
+
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get goal conversions per campaign under a first-touch or last-touch model
+router.get('/campaigns/conversions', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const { goal, startDate, endDate } = req.query;
+    const model = req.query.model || 'last_touch';
+    const lookbackDays = req.query.lookbackDays === undefined
+      ? DEFAULT_LOOKBACK_DAYS
+      : Number(req.query.lookbackDays);
+    const limit = parseLimit(req.query.limit, 20);
+
+    if (!goal) {
+      return res.status(400).json({ error: 'goal parameter is required' });
+    }
+
+    if (!Number.isInteger(lookbackDays) || lookbackDays < 1 || lookbackDays > MAX_LOOKBACK_DAYS) {
+      return res.status(400).json({ error: `lookbackDays must be between 1 and ${MAX_LOOKBACK_DAYS}` });
+    }
+
+    if (limit === null) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    if (!MODELS[model]) {
+      return res.status(400).json({
+        error: `model must be one of: ${Object.keys(MODELS).join(', ')}`,
+      });
+    }
+
+    const compareError = validateComparison(req.query);
+    if (compareError) {
+      return res.status(400).json({ error: compareError });
+    }
+
+    const comparison = resolveComparison(req.query);
+
+    const report = async (range) => {
+      const query = buildConversionQuery({
+        appId: req.appId,
+        goal,
+        model,
+        lookbackDays,
+        startDate: range.startDate,
+        endDate: range.endDate,
+      });
+
+      const result = await db.query(query.text, query.params);
+      return formatConversions(result.rows, limit);
+    };
+
+    const current = await report(comparison ? comparison.current : { startDate, endDate });
+
+    const response = {
+      goal,
+      model,
+      lookbackDays,
+      ...current,
+    };
+
+    if (comparison) {
+      const previous = await report(comparison.previous);
+
+      response.comparison = {
+        ...comparison,
+        totals: compareRows([current], [previous], {
+          keys: [],
+          metrics: ['totalConversions', 'unattributed'],
+        })[0],
+        rows: compareRows(current.campaigns, previous.campaigns, {
+          keys: ['campaign', 'source', 'medium'],
+          metrics: ['conversions', 'converters'],
+        }),
+      };
+    }
+
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Run an ad-hoc breakdown query described by a JSON spec
+router.post('/query', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const spec = req.body.query;
+    const error = validateQuery(spec) || validateComparison(spec);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const comparison = resolveComparison(spec);
+
+    const run = async (range) => {
+      const query = compileQuery(req.appId, { ...spec, ...range }, { includeBots: spec.includeBots === true });
+      const result = await db.query(query.text, query.params);
+      return { columns: query.columns, rows: formatRows(result.rows, spec) };
+    };
+
+    const current = await run(comparison ? comparison.current : {});
+    const response = { ...current };
+
+    if (comparison) {
+      const previous = await run(comparison.previous);
+
+      response.comparison = {
+        ...comparison,
+        rows: compareRows(current.rows, previous.rows, {
+          keys: spec.groupBy || [],
+          metrics: current.columns.slice((spec.groupBy || []).length),
+        }),
+      };
+    }
+
+    res.json(response);
+  } catch (err) {
+    // invalid_regular_expression from a regex filter
+    if (err.code === '2201B') {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+// Stream live events and periodic activity summaries over Server-Sent Events
+router.get('/live', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const appId = req.appId;
+    const includeBots = req.query.include_bots === 'true';
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribe = live.subscribe(appId, {
+      onEvents: (events) => {
+        const visible = includeBots ? events : events.filter((event) => !event.isBot);
+        if (visible.length > 0) {
+          send('events', visible);
+        }
+      },
+      onSummary: (summary) => send('summary', summary),
+    });
+
+    if (!unsubscribe) {
+      return res.status(503).json({ error: 'Too many live connections, please try again later' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    send('summary', await live.summarize(appId));
+  } catch (err) {
+    if (res.headersSent) {
+      console.error('Live stream error:', err);
+      return res.end();
+    }
+    next(err);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,60 +1,218 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 const db = require('../config/database');
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, requireAppRole } = require('../middleware/auth');
+const { PRIVACY_MODES } = require('../services/privacy');
+const apiKeys = require('../services/apiKeys');
+const users = require('../services/users');
+const workspaces = require('../services/workspaces');
 
-// Register a new app/website and generate API key
-router.post('/register', async (req, res, next) => {
+// Create a user account
+router.post('/signup', async (req, res, next) => {
   try {
-    const { appName, appUrl, email } = req.body;
+    const validationError = users.validateCredentials(req.body);
 
-    if (!appName || !appUrl || !email) {
-      return res.status(400).json({
-        error: 'appName, appUrl, and email are required',
-      });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Generate unique API key
-    const apiKey = crypto.randomBytes(32).toString('hex');
-    const hashedKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+    const result = await db.query(
+      `INSERT INTO users (email, password_hash)
+       VALUES ($1, $2)
+       RETURNING user_id, email, created_at`,
+      [users.normalizeEmail(req.body.email), await users.hashPassword(req.body.password)]
+    );
+
+    const user = result.rows[0];
+
+    res.status(201).json({
+      message: 'Account created successfully',
+      user,
+      ...(await users.issueTokens(user)),
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    next(err);
+  }
+});
+
+// Log in with email and password
+router.post('/login', async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+
+    const result = await db.query(
+      'SELECT user_id, email, password_hash FROM users WHERE email = $1',
+      [users.normalizeEmail(email)]
+    );
+
+    const user = result.rows[0];
+    const valid = await users.verifyPassword(
+      String(password),
+      user ? user.password_hash : await users.getDummyHash()
+    );
+
+    if (!user || !valid) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({
+      user: { user_id: user.user_id, email: user.email },
+      ...(await users.issueTokens(user)),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const tokens = await users.rotateRefreshToken(refreshToken);
+
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(tokens);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Revoke a refresh token
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    await users.revokeRefreshToken(refreshToken);
 
-    // Insert into database
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get the current user
+router.get('/me', authenticateUser, async (req, res, next) => {
+  try {
     const result = await db.query(
-      `INSERT INTO apps (app_name, app_url, email, api_key_hash, created_at, expires_at)
-       VALUES ($1, $2, $3, $4, NOW(), NOW() + INTERVAL '1 year')
-       RETURNING app_id, app_name, app_url, email, created_at, expires_at`,
-      [appName, appUrl, email, hashedKey]
+      'SELECT user_id, email, created_at FROM users WHERE user_id = $1',
+      [req.userId]
     );
 
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: result.rows[0] });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Register a new app/website owned by the current user, optionally inside one
+// of their workspaces, and generate API key
+router.post('/register', authenticateUser, async (req, res, next) => {
+  const { appName, appUrl, workspaceId } = req.body;
+  const email = req.body.email || req.userEmail;
+
+  if (!appName || !appUrl) {
+    return res.status(400).json({
+      error: 'appName and appUrl are required',
+    });
+  }
+
+  let client;
+
+  try {
+    if (workspaceId !== undefined) {
+      const role = await workspaces.workspaceRole(req.userId, workspaceId);
+
+      if (!role) {
+        return res.status(404).json({ error: 'Workspace not found' });
+      }
+
+      if (!workspaces.hasRole(role, 'admin')) {
+        return res.status(403).json({ error: 'This action requires the admin role' });
+      }
+    }
+
+    // Generate unique API key
+    const apiKey = apiKeys.generateKey();
+
+    client = await db.pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO apps (app_name, app_url, email, api_key_hash, owner_user_id, workspace_id, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW() + INTERVAL '1 year')
+       RETURNING app_id, app_name, app_url, email, workspace_id, created_at, expires_at`,
+      [appName, appUrl, email, apiKeys.hashKey(apiKey), req.userId, workspaceId || null]
+    );
+
+    // The first key can do everything; narrower keys are added with POST /keys
+    const { key } = await apiKeys.createKey(client, result.rows[0].app_id, {
+      apiKey,
+      label: 'Default',
+      scopes: apiKeys.SCOPES,
+      expiresInDays: 365,
+      createdBy: req.userId,
+    });
+
+    await client.query('COMMIT');
+
     res.status(201).json({
       message: 'App registered successfully',
       app: result.rows[0],
       apiKey: apiKey,
+      key,
       warning: 'Store this API key securely. It will not be shown again.',
     });
   } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
     next(err);
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 });
 
-// Retrieve API key (requires authentication)
+// List the active apps the current user owns or can reach through a workspace,
+// with their role on each
 router.get('/api-key', authenticateUser, async (req, res, next) => {
   try {
-    const { email } = req.query;
-
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
-
     const result = await db.query(
-      `SELECT app_id, app_name, app_url, email, created_at, expires_at, is_active
-       FROM apps WHERE email = $1 AND is_active = true`,
-      [email]
+      `SELECT a.app_id, a.app_name, a.app_url, a.email, a.workspace_id, a.created_at, a.expires_at, a.is_active,
+              CASE WHEN a.workspace_id IS NULL AND a.owner_user_id = $1 THEN 'owner' ELSE m.role END AS role
+       FROM apps a
+       LEFT JOIN workspace_members m ON m.workspace_id = a.workspace_id AND m.user_id = $1
+       WHERE ((a.workspace_id IS NULL AND a.owner_user_id = $1) OR m.user_id IS NOT NULL) AND a.is_active = true
+       ORDER BY a.app_id`,
+      [req.userId]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'No active apps found for this email' });
+      return res.status(404).json({ error: 'No active apps found for this account' });
     }
 
     res.json({
@@ -66,18 +224,49 @@ router.get('/api-key', authenticateUser, async (req, res, next) => {
   }
 });
 
-// Revoke API key
-router.post('/revoke', authenticateUser, async (req, res, next) => {
+// Take ownership of an unowned app, proving it with an unexpired admin key. The
+// app's original key does not count even when copied into api_keys: it is the
+// one pasted into public tracker snippets.
+router.post('/claim', authenticateUser, async (req, res, next) => {
   try {
-    const { appId } = req.body;
+    const { appId, apiKey } = req.body;
 
-    if (!appId) {
-      return res.status(400).json({ error: 'appId is required' });
+    if (!appId || !apiKey) {
+      return res.status(400).json({ error: 'appId and apiKey are required' });
     }
 
+    const result = await db.query(
+      `UPDATE apps SET owner_user_id = $1, updated_at = NOW()
+       WHERE app_id = $2 AND owner_user_id IS NULL
+         AND EXISTS (
+           SELECT 1 FROM api_keys k
+           WHERE k.app_id = apps.app_id AND k.key_hash = $3 AND k.revoked_at IS NULL
+             AND 'admin' = ANY(k.scopes) AND (k.expires_at IS NULL OR k.expires_at > NOW())
+             AND k.key_hash IS DISTINCT FROM apps.api_key_hash
+         )
+       RETURNING app_id, app_name, app_url`,
+      [req.userId, appId, apiKeys.hashKey(apiKey)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No unclaimed app matches this appId and admin API key' });
+    }
+
+    res.json({
+      message: 'App claimed successfully',
+      app: result.rows[0],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Disable the app, rejecting all of its keys until /regenerate
+router.post('/revoke', authenticateUser, requireAppRole('admin'), async (req, res, next) => {
+  try {
     await db.query(
       `UPDATE apps SET is_active = false, updated_at = NOW() WHERE app_id = $1`,
-      [appId]
+      [req.ownedAppId]
     );
 
     res.json({ message: 'API key revoked successfully' });
@@ -86,24 +275,197 @@ router.post('/revoke', authenticateUser, async (req, res, next) => {
   }
 });
 
-// Regenerate API key
-router.post('/regenerate', authenticateUser, async (req, res, next) => {
+// Issue a new full-access key. Every other key of the app keeps working for
+// graceHours (API_KEY_ROTATION_GRACE_HOURS by default; 0 retires them now).
+router.post('/regenerate', authenticateUser, requireAppRole('admin'), async (req, res, next) => {
+  const { graceHours = apiKeys.ROTATION_GRACE_HOURS } = req.body;
+  const validationError = apiKeys.validateGraceHours(graceHours);
+
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  let client;
+
   try {
-    const { appId } = req.body;
+    client = await db.pool.connect();
+    await client.query('BEGIN');
 
-    if (!appId) {
-      return res.status(400).json({ error: 'appId is required' });
-    }
+    await apiKeys.adoptLegacyKey(client, req.ownedAppId);
+
+    const { key, apiKey } = await apiKeys.createKey(client, req.ownedAppId, {
+      label: 'Default',
+      scopes: apiKeys.SCOPES,
+      expiresInDays: 365,
+      createdBy: req.userId,
+    });
 
-    const newApiKey = crypto.randomBytes(32).toString('hex');
-    const hashedKey = crypto.createHash('sha256').update(newApiKey).digest('hex');
+    const previousKeys = await apiKeys.expireOtherKeys(client, req.ownedAppId, key.key_id, graceHours);
 
-    const result = await db.query(
+    const result = await client.query(
       `UPDATE apps 
        SET api_key_hash = $1, is_active = true, updated_at = NOW(), expires_at = NOW() + INTERVAL '1 year'
        WHERE app_id = $2
        RETURNING app_id, app_name, app_url`,
-      [hashedKey, appId]
+      [apiKeys.hashKey(apiKey), req.ownedAppId]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'API key regenerated successfully',
+      app: result.rows[0],
+      apiKey,
+      key,
+      previousKeys,
+      warning: 'Store this API key securely. It will not be shown again.',
+    });
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    next(err);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// List an app's API keys
+router.get('/keys', authenticateUser, requireAppRole('admin'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT ${apiKeys.KEY_COLUMNS} FROM api_keys WHERE app_id = $1 ORDER BY created_at DESC`,
+      [req.ownedAppId]
+    );
+
+    res.json({ keys: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create an API key, e.g. an ingest-only key limited to the site's origin
+router.post('/keys', authenticateUser, requireAppRole('admin'), async (req, res, next) => {
+  try {
+    const validationError = apiKeys.validateKeyOptions(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { label, scopes, allowedOrigins, expiresInDays } = req.body;
+
+    const { key, apiKey } = await apiKeys.createKey(db, req.ownedAppId, {
+      label,
+      scopes,
+      allowedOrigins,
+      expiresInDays,
+      createdBy: req.userId,
+    });
+
+    res.status(201).json({
+      message: 'API key created successfully',
+      key,
+      apiKey,
+      warning: 'Store this API key securely. It will not be shown again.',
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Replace one key with a new one of the same settings; the old key keeps
+// working for graceHours
+router.post('/keys/:keyId/rotate', authenticateUser, requireAppRole('admin'), async (req, res, next) => {
+  const { graceHours = apiKeys.ROTATION_GRACE_HOURS } = req.body;
+  const validationError = apiKeys.validateGraceHours(graceHours);
+
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  let client;
+
+  try {
+    client = await db.pool.connect();
+    await client.query('BEGIN');
+
+    const rotated = await apiKeys.rotateKey(client, req.ownedAppId, req.params.keyId, {
+      graceHours,
+      createdBy: req.userId,
+    });
+
+    if (!rotated) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'API key rotated successfully',
+      key: rotated.key,
+      apiKey: rotated.apiKey,
+      previousKey: rotated.previous,
+      warning: 'Store this API key securely. It will not be shown again.',
+    });
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    next(err);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+});
+
+// Revoke one key immediately
+router.delete('/keys/:keyId', authenticateUser, requireAppRole('admin'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `UPDATE api_keys SET revoked_at = $1
+       WHERE key_id = $2 AND app_id = $3 AND revoked_at IS NULL
+       RETURNING ${apiKeys.KEY_COLUMNS}`,
+      [new Date().toISOString(), req.params.keyId, req.ownedAppId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    res.json({
+      message: 'API key revoked successfully',
+      key: result.rows[0],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Update an app's privacy mode (off, truncate or hash)
+router.put('/privacy', authenticateUser, requireAppRole('admin'), async (req, res, next) => {
+  try {
+    const { privacyMode } = req.body;
+
+    if (!privacyMode) {
+      return res.status(400).json({ error: 'privacyMode is required' });
+    }
+
+    if (!PRIVACY_MODES.includes(privacyMode)) {
+      return res.status(400).json({
+        error: `privacyMode must be one of: ${PRIVACY_MODES.join(', ')}`,
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE apps SET privacy_mode = $1, updated_at = NOW()
+       WHERE app_id = $2
+       RETURNING app_id, app_name, privacy_mode`,
+      [privacyMode, req.ownedAppId]
     );
 
     if (result.rows.length === 0) {
@@ -111,10 +473,8 @@ router.post('/regenerate', authenticateUser, async (req, res, next) => {
     }
 
     res.json({
-      message: 'API key regenerated successfully',
+      message: 'Privacy mode updated successfully',
       app: result.rows[0],
-      apiKey: newApiKey,
-      warning: 'Store this API key securely. It will not be shown again.',
     });
   } catch (err) {
     next(err);
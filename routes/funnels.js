@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { validateApiKey, requireRole } = require('../middleware/auth');
+const {
+  DEFAULT_WINDOW_SECONDS,
+  validateFunnel,
+  buildFunnelQuery,
+  formatReport,
+} = require('../services/funnels');
+const { validateComparison, resolveComparison, compareRows } = require('../services/compare');
+
+const MAX_ID = 2147483647;
+
+// Funnel ids are INTEGER; anything else cannot name a funnel and would make
+// Postgres reject the query
+router.param('funnelId', (req, res, next, funnelId) => {
+  const id = Number(funnelId);
+
+  if (!/^\d+$/.test(funnelId) || id < 1 || id > MAX_ID) {
+    return res.status(404).json({ error: 'Funnel not found' });
+  }
+
+  next();
+});
+
+// Save a funnel definition
+router.post('/', validateApiKey('admin'), requireRole('analyst'), async (req, res, next) => {
+  try {
+    const { name, steps, windowSeconds } = req.body;
+    const validationError = validateFunnel(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await db.query(
+      `INSERT INTO funnels (app_id, name, steps, window_seconds)
+       VALUES ($1, $2, $3, $4)
+       RETURNING funnel_id, name, steps, window_seconds, created_at`,
+      [req.appId, name, JSON.stringify(steps), windowSeconds || DEFAULT_WINDOW_SECONDS]
+    );
+
+    res.status(201).json({
+      message: 'Funnel created successfully',
+      funnel: result.rows[0],
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A funnel with this name already exists' });
+    }
+    next(err);
+  }
+});
+
+// List saved funnels
+router.get('/', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT funnel_id, name, steps, window_seconds, created_at, updated_at
+       FROM funnels
+       WHERE app_id = $1
+       ORDER BY name`,
+      [req.appId]
+    );
+
+    res.json({ funnels: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Replace a funnel definition
+router.put('/:funnelId', validateApiKey('admin'), requireRole('analyst'), async (req, res, next) => {
+  try {
+    const { name, steps, windowSeconds } = req.body;
+    const validationError = validateFunnel(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await db.query(
+      `UPDATE funnels
+       SET name = $1, steps = $2, window_seconds = $3, updated_at = NOW()
+       WHERE funnel_id = $4 AND app_id = $5
+       RETURNING funnel_id, name, steps, window_seconds, created_at, updated_at`,
+      [name, JSON.stringify(steps), windowSeconds || DEFAULT_WINDOW_SECONDS, req.params.funnelId, req.appId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Funnel not found' });
+    }
+
+    res.json({
+      message: 'Funnel updated successfully',
+      funnel: result.rows[0],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a funnel
+router.delete('/:funnelId', validateApiKey('admin'), requireRole('analyst'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM funnels WHERE funnel_id = $1 AND app_id = $2',
+      [req.params.funnelId, req.appId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Funnel not found' });
+    }
+
+    res.json({ message: 'Funnel deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get step-by-step conversion for a saved funnel
+router.get('/:funnelId/report', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const compareError = validateComparison(req.query);
+    if (compareError) {
+      return res.status(400).json({ error: compareError });
+    }
+
+    const comparison = resolveComparison(req.query);
+
+    const funnel = await db.query(
+      'SELECT funnel_id, name, steps, window_seconds FROM funnels WHERE funnel_id = $1 AND app_id = $2',
+      [req.params.funnelId, req.appId]
+    );
+
+    if (funnel.rows.length === 0) {
+      return res.status(404).json({ error: 'Funnel not found' });
+    }
+
+    const { name, steps, window_seconds: windowSeconds } = funnel.rows[0];
+
+    const buildReport = async (range) => {
+      const query = buildFunnelQuery({
+        appId: req.appId,
+        steps,
+        windowSeconds,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        includeBots: req.query.include_bots === 'true',
+      });
+
+      const result = await db.query(query.text, query.params);
+      return formatReport(steps, result.rows[0]);
+    };
+
+    const report = await buildReport(comparison ? comparison.current : { startDate, endDate });
+    const response = {
+      funnel: name,
+      windowSeconds,
+      startDate: (comparison ? comparison.current.startDate : startDate) || null,
+      endDate: (comparison ? comparison.current.endDate : endDate) || null,
+      entered: report[0].visitors,
+      converted: report[report.length - 1].visitors,
+      steps: report,
+    };
+
+    if (comparison) {
+      const previous = await buildReport(comparison.previous);
+      response.comparison = {
+        ...comparison,
+        rows: compareRows(report, previous, {
+          keys: ['step'],
+          metrics: ['visitors', 'conversion_rate', 'drop_off'],
+        }),
+      };
+    }
+
+    res.json(response);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
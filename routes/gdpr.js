@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { validateApiKey, requireRole } = require('../middleware/auth');
+const {
+  IDENTIFIER_TYPES,
+  resolveSubject,
+  findEvents,
+  eraseEvents,
+  rebuildDerived,
+  toCsv,
+  hashIdentifier,
+} = require('../services/gdpr');
+
+const identifierError = `One of ${Object.keys(IDENTIFIER_TYPES).join(', ')} is required`;
+
+// Export everything held about one data subject
+router.get('/export', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const subject = resolveSubject(req.query);
+    const format = req.query.format || 'json';
+
+    if (!subject) {
+      return res.status(400).json({ error: identifierError });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const { events, archivedEvents, legacyEvents } = await findEvents(db, req.appId, subject, req.privacyMode);
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="export-${req.appId}.csv"`);
+      return res.type('text/csv').send(toCsv({ events, archivedEvents, legacyEvents }));
+    }
+
+    res.json({
+      app: req.appName,
+      identifier: { type: subject.type, value: subject.value },
+      exportedAt: new Date().toISOString(),
+      count: events.length + archivedEvents.length + legacyEvents.length,
+      events,
+      archivedEvents,
+      legacyEvents,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Permanently erase one data subject and record an audit entry
+router.post('/erase', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  const subject = resolveSubject(req.body);
+  const { requestedBy } = req.body;
+
+  if (!subject) {
+    return res.status(400).json({ error: identifierError });
+  }
+
+  if (!requestedBy) {
+    return res.status(400).json({ error: 'requestedBy is required' });
+  }
+
+  let client;
+  let erased;
+
+  try {
+    client = await db.pool.connect();
+    await client.query('BEGIN');
+
+    const { hours, ...deleted } = await eraseEvents(client, req.appId, subject, req.privacyMode);
+
+    const audit = await client.query(
+      `INSERT INTO erasure_requests
+       (app_id, identifier_type, identifier_hash, requested_by, requester_ip, rows_deleted, api_key_id, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING request_id, created_at`,
+      [
+        req.appId,
+        subject.type,
+        hashIdentifier(subject),
+        requestedBy,
+        req.ip || null,
+        deleted.events + deleted.archivedEvents + deleted.legacyEvents + deleted.sessions,
+        req.apiKeyId || null,
+        req.userId || null,
+      ]
+    );
+
+    await client.query('COMMIT');
+    erased = { hours, deleted, audit: audit.rows[0] };
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    return next(err);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+
+  const response = {
+    message: 'Data subject erased successfully',
+    requestId: erased.audit.request_id,
+    erasedAt: erased.audit.created_at,
+    deleted: erased.deleted,
+  };
+
+  // The data is already gone; rollups left stale here are rebuilt by the rollup job
+  try {
+    await rebuildDerived(req.appId, erased.hours);
+  } catch (err) {
+    console.error('Rollup rebuild after erasure failed:', err);
+    response.warning = 'Aggregates still include the erased events until the next rollup run';
+  }
+
+  res.json(response);
+});
+
+// List erasure audit records for the app
+router.get('/erasures', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT request_id, identifier_type, requested_by, api_key_id, user_id, requester_ip, rows_deleted, created_at
+       FROM erasure_requests
+       WHERE app_id = $1
+       ORDER BY created_at DESC`,
+      [req.appId]
+    );
+
+    res.json({ erasures: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { validateApiKey } = require('../middleware/auth');
+const usage = require('../services/usage');
+
+const MAX_HISTORY_MONTHS = 24;
+
+// Report this month's events and queries against the quota, the current rate
+// limit windows for the caller, and past months
+router.get('/', validateApiKey('read'), async (req, res, next) => {
+  try {
+    const months = Math.min(parseInt(req.query.months, 10) || 6, MAX_HISTORY_MONTHS);
+    const identity = { appId: req.appId, apiKeyId: req.apiKeyId, userId: req.userId };
+
+    const [monthly, ingest, query, history] = await Promise.all([
+      usage.monthlyUsage(req.appId, { fresh: true }),
+      usage.windowUsage('ingest', identity),
+      usage.windowUsage('query', identity),
+      usage.history(req.appId, months),
+    ]);
+
+    res.json({
+      appId: req.appId,
+      period: {
+        start: monthly.period,
+        resetAt: monthly.resetAt,
+      },
+      events: {
+        used: monthly.events,
+        quota: monthly.quota,
+        remaining: monthly.quota === null ? null : Math.max(0, monthly.quota - monthly.events),
+      },
+      queries: {
+        used: monthly.queries,
+      },
+      rateLimits: {
+        ingest,
+        query,
+      },
+      history,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { validateApiKey, requireRole } = require('../middleware/auth');
+const webhooks = require('../services/webhooks');
+
+const WEBHOOK_COLUMNS = `webhook_id, url, send_events, event_names, send_alerts, is_active,
+  created_at, updated_at`;
+const DELIVERY_COLUMNS = `delivery_id, webhook_id, kind, payload, status, attempts, next_attempt_at,
+  last_status_code, last_error, created_at, delivered_at`;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const webhookParams = (body) => [
+  body.url,
+  body.sendEvents === true,
+  body.eventNames && body.eventNames.length > 0 ? body.eventNames : null,
+  body.sendAlerts !== false,
+  body.isActive !== false,
+];
+
+// Create a webhook; the signing secret is only returned here and on rotation
+router.post('/', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const validationError = webhooks.validateWebhook(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await db.query(
+      `INSERT INTO webhooks (url, send_events, event_names, send_alerts, is_active, app_id, secret)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${WEBHOOK_COLUMNS}, secret`,
+      [...webhookParams(req.body), req.appId, webhooks.createSecret()]
+    );
+
+    webhooks.invalidate(req.appId);
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: result.rows[0],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List webhooks
+router.get('/', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE app_id = $1 ORDER BY webhook_id`,
+      [req.appId]
+    );
+
+    res.json({ webhooks: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List dead-lettered deliveries across all webhooks
+router.get('/dead-letters', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const result = await db.query(
+      `SELECT ${DELIVERY_COLUMNS}
+       FROM webhook_deliveries
+       WHERE app_id = $1 AND status = 'dead'
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.appId, limit, offset]
+    );
+
+    res.json({
+      deliveries: result.rows,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Queue a pending or dead delivery to be sent again now
+router.post('/deliveries/:deliveryId/retry', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = $1
+       WHERE delivery_id = $2 AND app_id = $3 AND status <> 'delivered'
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [new Date().toISOString(), req.params.deliveryId, req.appId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Undelivered delivery not found' });
+    }
+
+    res.json({
+      message: 'Delivery queued for retry',
+      delivery: result.rows[0],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Replace a webhook definition
+router.put('/:webhookId', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const validationError = webhooks.validateWebhook(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await db.query(
+      `UPDATE webhooks
+       SET url = $1, send_events = $2, event_names = $3, send_alerts = $4, is_active = $5,
+           updated_at = NOW()
+       WHERE webhook_id = $6 AND app_id = $7
+       RETURNING ${WEBHOOK_COLUMNS}`,
+      [...webhookParams(req.body), req.params.webhookId, req.appId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    webhooks.invalidate(req.appId);
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook: result.rows[0],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete a webhook and its delivery history
+router.delete('/:webhookId', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM webhooks WHERE webhook_id = $1 AND app_id = $2',
+      [req.params.webhookId, req.appId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    webhooks.invalidate(req.appId);
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Replace the signing secret
+router.post('/:webhookId/rotate-secret', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `UPDATE webhooks SET secret = $1, updated_at = NOW()
+       WHERE webhook_id = $2 AND app_id = $3
+       RETURNING webhook_id, secret`,
+      [webhooks.createSecret(), req.params.webhookId, req.appId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({
+      message: 'Webhook secret rotated successfully',
+      webhook: result.rows[0],
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Get the delivery history of a webhook
+router.get('/:webhookId/deliveries', validateApiKey('admin'), requireRole('admin'), async (req, res, next) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+      });
+    }
+
+    const params = [req.params.webhookId, req.appId];
+    let query = `
+      SELECT ${DELIVERY_COLUMNS}
+      FROM webhook_deliveries
+      WHERE webhook_id = $1 AND app_id = $2
+    `;
+
+    if (status) {
+      params.push(status);
+      query += ` AND status = $${params.length}`;
+    }
+
+    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(limit, offset);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      deliveries: result.rows,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
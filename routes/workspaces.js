@@ -0,0 +1,517 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { authenticateUser, requireWorkspaceRole } = require('../middleware/auth');
+const { normalizeEmail } = require('../services/users');
+const workspaces = require('../services/workspaces');
+
+router.use(authenticateUser);
+
+// Run `work` in a transaction; it resolves to { status, body }, and error
+// statuses roll back
+const withTransaction = async (work) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const outcome = await work(client);
+    await client.query(outcome.status >= 400 ? 'ROLLBACK' : 'COMMIT');
+    return outcome;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const roleError = (role) => {
+  if (!workspaces.ROLES.includes(role)) {
+    return `role must be one of: ${workspaces.ROLES.join(', ')}`;
+  }
+  return null;
+};
+
+// Serializes membership changes so the last owner cannot be removed concurrently
+const lockWorkspace = (client, workspaceId) => client.query(
+  'SELECT workspace_id FROM workspaces WHERE workspace_id = $1 FOR UPDATE',
+  [workspaceId]
+);
+
+const findMember = async (client, workspaceId, userId) => {
+  const result = await client.query(
+    'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Create a workspace; the creator becomes its owner
+router.post('/', async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO workspaces (name, created_by)
+         VALUES ($1, $2)
+         RETURNING workspace_id, name, created_at`,
+        [name, req.userId]
+      );
+
+      const workspace = result.rows[0];
+
+      await client.query(
+        `INSERT INTO workspace_members (workspace_id, user_id, role)
+         VALUES ($1, $2, 'owner')`,
+        [workspace.workspace_id, req.userId]
+      );
+
+      await workspaces.recordAudit(client, {
+        workspaceId: workspace.workspace_id,
+        actorUserId: req.userId,
+        action: 'member.added',
+        targetUserId: req.userId,
+        details: { role: 'owner' },
+      });
+
+      return {
+        status: 201,
+        body: {
+          message: 'Workspace created successfully',
+          workspace: { ...workspace, role: 'owner' },
+        },
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List the current user's workspaces with their role in each
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT w.workspace_id, w.name, w.created_at, m.role
+       FROM workspaces w
+       JOIN workspace_members m ON m.workspace_id = w.workspace_id
+       WHERE m.user_id = $1
+       ORDER BY w.name`,
+      [req.userId]
+    );
+
+    res.json({ workspaces: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List members
+router.get('/:workspaceId/members', requireWorkspaceRole('viewer'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT m.user_id, u.email, m.role, m.created_at
+       FROM workspace_members m
+       JOIN users u ON u.user_id = m.user_id
+       WHERE m.workspace_id = $1
+       ORDER BY u.email`,
+      [req.workspaceId]
+    );
+
+    res.json({ members: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Invite someone by email. The token is returned once and must be passed on
+// to the invitee; only owners can invite owners.
+router.post('/:workspaceId/invitations', requireWorkspaceRole('admin'), async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'email is required' });
+    }
+
+    const validationError = roleError(role);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (role === 'owner' && req.userRole !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can invite owners' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const invitation = await workspaces.createInvitation(client, {
+        workspaceId: req.workspaceId,
+        email: normalizeEmail(email),
+        role,
+        invitedBy: req.userId,
+      });
+
+      await workspaces.recordAudit(client, {
+        workspaceId: req.workspaceId,
+        actorUserId: req.userId,
+        action: 'invitation.created',
+        details: { invitationId: invitation.invitation_id, email: invitation.email, role },
+      });
+
+      return {
+        status: 201,
+        body: {
+          message: 'Invitation created successfully',
+          invitation,
+          warning: 'Share this token with the invitee. It will not be shown again.',
+        },
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List pending invitations
+router.get('/:workspaceId/invitations', requireWorkspaceRole('admin'), async (req, res, next) => {
+  try {
+    const result = await db.query(
+      `SELECT invitation_id, email, role, invited_by, expires_at, created_at
+       FROM workspace_invitations
+       WHERE workspace_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > $2
+       ORDER BY created_at DESC`,
+      [req.workspaceId, new Date().toISOString()]
+    );
+
+    res.json({ invitations: result.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:workspaceId/invitations/:invitationId', requireWorkspaceRole('admin'), async (req, res, next) => {
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE workspace_invitations SET revoked_at = $1
+         WHERE invitation_id = $2 AND workspace_id = $3 AND accepted_at IS NULL AND revoked_at IS NULL
+         RETURNING invitation_id, email, role`,
+        [new Date().toISOString(), req.params.invitationId, req.workspaceId]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 404, body: { error: 'Pending invitation not found' } };
+      }
+
+      const invitation = result.rows[0];
+
+      await workspaces.recordAudit(client, {
+        workspaceId: req.workspaceId,
+        actorUserId: req.userId,
+        action: 'invitation.revoked',
+        details: { invitationId: invitation.invitation_id, email: invitation.email, role: invitation.role },
+      });
+
+      return { status: 200, body: { message: 'Invitation revoked successfully' } };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Accept an invitation addressed to the current user's email
+router.post('/invitations/accept', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT invitation_id, workspace_id, email, role
+         FROM workspace_invitations
+         WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > $2
+         FOR UPDATE`,
+        [workspaces.hashToken(String(token)), new Date().toISOString()]
+      );
+
+      const invitation = result.rows[0];
+
+      // An invitation for someone else looks the same as a missing one
+      if (!invitation || invitation.email !== normalizeEmail(req.userEmail)) {
+        return { status: 404, body: { error: 'Invalid or expired invitation' } };
+      }
+
+      await lockWorkspace(client, invitation.workspace_id);
+
+      if (await findMember(client, invitation.workspace_id, req.userId)) {
+        return { status: 409, body: { error: 'You are already a member of this workspace' } };
+      }
+
+      await client.query(
+        `INSERT INTO workspace_members (workspace_id, user_id, role)
+         VALUES ($1, $2, $3)`,
+        [invitation.workspace_id, req.userId, invitation.role]
+      );
+
+      await client.query(
+        'UPDATE workspace_invitations SET accepted_at = $1 WHERE invitation_id = $2',
+        [new Date().toISOString(), invitation.invitation_id]
+      );
+
+      await workspaces.recordAudit(client, {
+        workspaceId: invitation.workspace_id,
+        actorUserId: req.userId,
+        action: 'member.added',
+        targetUserId: req.userId,
+        details: { role: invitation.role, invitationId: invitation.invitation_id },
+      });
+
+      return {
+        status: 200,
+        body: {
+          message: 'Invitation accepted successfully',
+          workspaceId: invitation.workspace_id,
+          role: invitation.role,
+        },
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change a member's role. Only owners can grant or take away the owner role,
+// and a workspace always keeps at least one owner.
+router.put('/:workspaceId/members/:userId', requireWorkspaceRole('admin'), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const validationError = roleError(role);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const targetUserId = Number(req.params.userId);
+
+    const outcome = await withTransaction(async (client) => {
+      await lockWorkspace(client, req.workspaceId);
+
+      const member = await findMember(client, req.workspaceId, targetUserId);
+
+      if (!member) {
+        return { status: 404, body: { error: 'Member not found' } };
+      }
+
+      if ((role === 'owner' || member.role === 'owner') && req.userRole !== 'owner') {
+        return { status: 403, body: { error: 'Only owners can change the owner role' } };
+      }
+
+      if (member.role === 'owner' && role !== 'owner'
+        && await workspaces.countOwners(client, req.workspaceId) === 1) {
+        return { status: 409, body: { error: 'A workspace must keep at least one owner' } };
+      }
+
+      if (member.role !== role) {
+        await client.query(
+          'UPDATE workspace_members SET role = $1 WHERE workspace_id = $2 AND user_id = $3',
+          [role, req.workspaceId, targetUserId]
+        );
+
+        await workspaces.recordAudit(client, {
+          workspaceId: req.workspaceId,
+          actorUserId: req.userId,
+          action: 'member.role_changed',
+          targetUserId,
+          details: { from: member.role, to: role },
+        });
+      }
+
+      return {
+        status: 200,
+        body: {
+          message: 'Member role updated successfully',
+          member: { user_id: targetUserId, role },
+        },
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove a member; any member may remove themselves
+router.delete('/:workspaceId/members/:userId', requireWorkspaceRole('viewer'), async (req, res, next) => {
+  try {
+    const targetUserId = Number(req.params.userId);
+    const leaving = targetUserId === req.userId;
+
+    if (!leaving && !workspaces.hasRole(req.userRole, 'admin')) {
+      return res.status(403).json({ error: 'This action requires the admin role' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      await lockWorkspace(client, req.workspaceId);
+
+      const member = await findMember(client, req.workspaceId, targetUserId);
+
+      if (!member) {
+        return { status: 404, body: { error: 'Member not found' } };
+      }
+
+      if (member.role === 'owner' && !leaving && req.userRole !== 'owner') {
+        return { status: 403, body: { error: 'Only owners can remove owners' } };
+      }
+
+      if (member.role === 'owner' && await workspaces.countOwners(client, req.workspaceId) === 1) {
+        return { status: 409, body: { error: 'A workspace must keep at least one owner' } };
+      }
+
+      await client.query(
+        'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+        [req.workspaceId, targetUserId]
+      );
+
+      await workspaces.recordAudit(client, {
+        workspaceId: req.workspaceId,
+        actorUserId: req.userId,
+        action: 'member.removed',
+        targetUserId,
+        details: { role: member.role },
+      });
+
+      return { status: 200, body: { message: 'Member removed successfully' } };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Move an app the current user administers into the workspace. Taking an app
+// out of another workspace needs the owner role there.
+router.post('/:workspaceId/apps', requireWorkspaceRole('admin'), async (req, res, next) => {
+  try {
+    const { appId } = req.body;
+
+    if (!appId) {
+      return res.status(400).json({ error: 'appId is required' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // Serializes concurrent moves of the same app
+      const locked = await client.query(
+        'SELECT app_id, workspace_id, owner_user_id FROM apps WHERE app_id = $1 FOR UPDATE',
+        [appId]
+      );
+      const app = locked.rows[0];
+
+      if (!app) {
+        return { status: 404, body: { error: 'App not found' } };
+      }
+
+      let role = null;
+      if (app.workspace_id === null) {
+        role = app.owner_user_id === req.userId ? 'owner' : null;
+      } else {
+        const member = await findMember(client, app.workspace_id, req.userId);
+        role = member ? member.role : null;
+      }
+
+      if (!role) {
+        return { status: 404, body: { error: 'App not found' } };
+      }
+
+      if (app.workspace_id === req.workspaceId) {
+        return { status: 409, body: { error: 'App is already in this workspace' } };
+      }
+
+      const required = app.workspace_id === null ? 'admin' : 'owner';
+      if (!workspaces.hasRole(role, required)) {
+        return { status: 403, body: { error: `This action requires the ${required} role` } };
+      }
+
+      const result = await client.query(
+        `UPDATE apps SET workspace_id = $1, updated_at = NOW()
+         WHERE app_id = $2
+         RETURNING app_id, app_name, app_url, workspace_id`,
+        [req.workspaceId, app.app_id]
+      );
+
+      if (app.workspace_id !== null) {
+        await workspaces.recordAudit(client, {
+          workspaceId: app.workspace_id,
+          actorUserId: req.userId,
+          action: 'app.removed',
+          details: { appId: app.app_id, toWorkspaceId: req.workspaceId },
+        });
+      }
+
+      await workspaces.recordAudit(client, {
+        workspaceId: req.workspaceId,
+        actorUserId: req.userId,
+        action: 'app.added',
+        details: { appId: app.app_id, fromWorkspaceId: app.workspace_id },
+      });
+
+      return {
+        status: 200,
+        body: {
+          message: 'App moved to workspace successfully',
+          app: result.rows[0],
+        },
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List audit log entries, newest first
+router.get('/:workspaceId/audit', requireWorkspaceRole('admin'), async (req, res, next) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const result = await db.query(
+      `SELECT a.audit_id, a.action, a.actor_user_id, actor.email AS actor_email,
+              a.target_user_id, target.email AS target_email, a.details, a.created_at
+       FROM audit_log a
+       LEFT JOIN users actor ON actor.user_id = a.actor_user_id
+       LEFT JOIN users target ON target.user_id = a.target_user_id
+       WHERE a.workspace_id = $1
+       ORDER BY a.created_at DESC, a.audit_id DESC
+       LIMIT $2 OFFSET $3`,
+      [req.workspaceId, limit, offset]
+    );
+
+    res.json({
+      entries: result.rows,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+// Alert rules over event counts. A rule measures how many times its event
+// happened in the last window_minutes, using the same rollup-backed
+// aggregation as /time-series, and fires when the count crosses a fixed
+// threshold or changes by threshold percent against the same window
+// baseline_offset_minutes earlier.
+
+const rollups = require('./rollups');
+
+const CONDITIONS = ['above', 'below', 'drop_pct', 'rise_pct'];
+const RELATIVE = ['drop_pct', 'rise_pct'];
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULTS = {
+  windowMinutes: 10,
+  baselineOffsetMinutes: 7 * 24 * 60,
+  cooldownMinutes: 60,
+};
+
+const isPositiveInteger = (value, max = Infinity) => Number.isInteger(value) && value > 0 && value <= max;
+
+// Check a rule definition, returning an error message or null
+const validateRule = ({ name, event, condition, threshold, windowMinutes, baselineOffsetMinutes, cooldownMinutes }) => {
+  if (!name || typeof name !== 'string') {
+    return 'name is required';
+  }
+
+  if (!event || typeof event !== 'string') {
+    return 'event is required';
+  }
+
+  if (!CONDITIONS.includes(condition)) {
+    return `condition must be one of: ${CONDITIONS.join(', ')}`;
+  }
+
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < 0) {
+    return 'threshold must be a non-negative number';
+  }
+
+  if (windowMinutes !== undefined && !isPositiveInteger(windowMinutes, MAX_WINDOW_MINUTES)) {
+    return `windowMinutes must be an integer between 1 and ${MAX_WINDOW_MINUTES}`;
+  }
+
+  if (baselineOffsetMinutes !== undefined && !isPositiveInteger(baselineOffsetMinutes)) {
+    return 'baselineOffsetMinutes must be a positive integer';
+  }
+
+  if (cooldownMinutes !== undefined && !(Number.isInteger(cooldownMinutes) && cooldownMinutes >= 0)) {
+    return 'cooldownMinutes must be a non-negative integer';
+  }
+
+  return null;
+};
+
+const countEvents = async (appId, event, start, end) => {
+  const rows = await rollups.aggregate({
+    appId,
+    startDate: start.toISOString(),
+    endDate: end.toISOString(),
+    filters: { event_name: event },
+  });
+
+  return rows.length > 0 ? rows[0].count : 0;
+};
+
+// { value, baseline } for a stored rule at `now`; baseline is null for fixed thresholds
+const measure = async (rule, now = new Date()) => {
+  const windowMs = rule.window_minutes * MINUTE_MS;
+  const start = new Date(now.getTime() - windowMs);
+  const value = await countEvents(rule.app_id, rule.event_name, start, now);
+
+  if (!RELATIVE.includes(rule.condition)) {
+    return { value, baseline: null };
+  }
+
+  const offsetMs = rule.baseline_offset_minutes * MINUTE_MS;
+  const baseline = await countEvents(
+    rule.app_id,
+    rule.event_name,
+    new Date(start.getTime() - offsetMs),
+    new Date(now.getTime() - offsetMs)
+  );
+
+  return { value, baseline };
+};
+
+// A relative rule never fires without baseline traffic to compare against
+const isTriggered = (rule, { value, baseline }) => {
+  const threshold = Number(rule.threshold);
+
+  switch (rule.condition) {
+    case 'above':
+      return value > threshold;
+    case 'below':
+      return value < threshold;
+    case 'drop_pct':
+      return baseline > 0 && ((baseline - value) / baseline) * 100 >= threshold;
+    default:
+      return baseline > 0 && ((value - baseline) / baseline) * 100 >= threshold;
+  }
+};
+
+module.exports = {
+  CONDITIONS,
+  DEFAULTS,
+  validateRule,
+  measure,
+  isTriggered,
+};
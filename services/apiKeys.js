@@ -0,0 +1,226 @@
+// API keys. An app can hold many keys, each with a label, scopes, an optional
+// list of browser origins it may be used from, and its own expiry. Only a
+// SHA-256 hash and a short display prefix of each key are stored.
+//
+//   ingest  send events (safe to embed in web pages)
+//   read    query analytics
+//   admin   manage funnels, alert rules, webhooks, retention and GDPR requests
+//
+// Rotating a key issues a replacement with the same settings and keeps the old
+// key working for a grace period, so deployed trackers can be updated.
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const { parseTimestamp } = require('./rollups');
+
+const SCOPES = ['ingest', 'read', 'admin'];
+const ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS, 10) || 24;
+const MAX_GRACE_HOURS = 30 * 24;
+const MAX_LABEL_LENGTH = 100;
+const PREFIX_LENGTH = 8;
+// last_used_at is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const KEY_COLUMNS = `key_id, label, key_prefix, scopes, allowed_origins, expires_at,
+  last_used_at, revoked_at, created_at`;
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+// Origins in URL.origin form ("https://example.com"), or null when any is invalid
+const normalizeOrigins = (origins) => {
+  try {
+    return origins.map((origin) => {
+      const { origin: normalized } = new URL(origin);
+      if (normalized === 'null') {
+        throw new Error('opaque origin');
+      }
+      return normalized;
+    });
+  } catch (err) {
+    return null;
+  }
+};
+
+// Check key settings, returning an error message or null
+const validateKeyOptions = ({ label, scopes, allowedOrigins, expiresInDays }) => {
+  if (label !== undefined && (typeof label !== 'string' || !label || label.length > MAX_LABEL_LENGTH)) {
+    return `label must be a string of 1 to ${MAX_LABEL_LENGTH} characters`;
+  }
+
+  if (scopes !== undefined
+    && (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !SCOPES.includes(scope)))) {
+    return `scopes must be a non-empty array of: ${SCOPES.join(', ')}`;
+  }
+
+  if (allowedOrigins !== undefined && allowedOrigins !== null
+    && (!Array.isArray(allowedOrigins) || !normalizeOrigins(allowedOrigins))) {
+    return 'allowedOrigins must be an array of origins such as https://example.com';
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null
+    && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+    return 'expiresInDays must be a positive integer';
+  }
+
+  return null;
+};
+
+const validateGraceHours = (graceHours) => {
+  if (graceHours !== undefined
+    && !(Number.isInteger(graceHours) && graceHours >= 0 && graceHours <= MAX_GRACE_HOURS)) {
+    return `graceHours must be an integer between 0 and ${MAX_GRACE_HOURS}`;
+  }
+  return null;
+};
+
+const generateKey = () => crypto.randomBytes(32).toString('hex');
+
+// Store a new key (generated unless given); the plaintext key is only ever in
+// the returned object
+const createKey = async (client, appId, { apiKey = generateKey(), label, scopes, allowedOrigins, expiresInDays, createdBy }) => {
+  const origins = allowedOrigins && allowedOrigins.length > 0 ? normalizeOrigins(allowedOrigins) : null;
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+
+  const result = await client.query(
+    `INSERT INTO api_keys (app_id, label, key_prefix, key_hash, scopes, allowed_origins, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${KEY_COLUMNS}`,
+    [
+      appId,
+      label || 'Default',
+      apiKey.slice(0, PREFIX_LENGTH),
+      hashKey(apiKey),
+      scopes || ['ingest'],
+      origins,
+      expiresAt,
+      createdBy || null,
+    ]
+  );
+
+  return { key: result.rows[0], apiKey };
+};
+
+// Replace a key with one of the same settings. The old key stays valid for
+// graceHours (never past its own expiry); null when the key is not active.
+const rotateKey = async (client, appId, keyId, { graceHours = ROTATION_GRACE_HOURS, createdBy }) => {
+  const result = await client.query(
+    `SELECT key_id, label, scopes, allowed_origins, expires_at::text AS expires_at, created_at::text AS created_at
+     FROM api_keys
+     WHERE key_id = $1 AND app_id = $2 AND revoked_at IS NULL
+     FOR UPDATE`,
+    [keyId, appId]
+  );
+
+  const current = result.rows[0];
+  const now = Date.now();
+
+  if (!current || (current.expires_at && parseTimestamp(current.expires_at) <= new Date(now))) {
+    return null;
+  }
+
+  // The replacement keeps the old key's lifetime
+  let expiresInDays = null;
+  if (current.expires_at) {
+    const lifetimeMs = parseTimestamp(current.expires_at) - parseTimestamp(current.created_at);
+    expiresInDays = Math.max(1, Math.round(lifetimeMs / (24 * 60 * 60 * 1000)));
+  }
+
+  const created = await createKey(client, appId, {
+    label: current.label,
+    scopes: current.scopes,
+    allowedOrigins: current.allowed_origins,
+    expiresInDays,
+    createdBy,
+  });
+
+  const graceEnd = new Date(now + graceHours * 60 * 60 * 1000);
+  const oldExpiry = current.expires_at ? parseTimestamp(current.expires_at) : null;
+
+  const previous = await client.query(
+    `UPDATE api_keys SET expires_at = $1, replaced_by = $2
+     WHERE key_id = $3
+     RETURNING ${KEY_COLUMNS}`,
+    [(oldExpiry && oldExpiry < graceEnd ? oldExpiry : graceEnd).toISOString(), created.key.key_id, current.key_id]
+  );
+
+  return { ...created, previous: previous.rows[0] };
+};
+
+// Put every other active key of the app on a graceHours expiry (never extending one)
+const expireOtherKeys = async (client, appId, keepKeyId, graceHours = ROTATION_GRACE_HOURS) => {
+  const graceEnd = new Date(Date.now() + graceHours * 60 * 60 * 1000).toISOString();
+
+  const result = await client.query(
+    `UPDATE api_keys
+     SET expires_at = CASE WHEN expires_at IS NULL OR expires_at > $1::timestamp THEN $1::timestamp ELSE expires_at END,
+         replaced_by = $2
+     WHERE app_id = $3 AND key_id <> $2 AND revoked_at IS NULL`,
+    [graceEnd, keepKeyId, appId]
+  );
+
+  return { expired: result.rowCount, expiresAt: graceEnd };
+};
+
+// Copy the app's key from before api_keys existed (see db/migrations/002_api_keys.sql)
+// so it can be expired and rotated like the others
+const adoptLegacyKey = (client, appId) => client.query(
+  `INSERT INTO api_keys (app_id, label, key_prefix, key_hash, scopes, expires_at, created_at)
+   SELECT a.app_id, 'Default', '', a.api_key_hash, $2, a.expires_at, a.created_at
+   FROM apps a
+   WHERE a.app_id = $1 AND a.api_key_hash IS NOT NULL
+     AND NOT EXISTS (SELECT 1 FROM api_keys k WHERE k.key_hash = a.api_key_hash)`,
+  [appId, SCOPES]
+);
+
+// The key's row with its app, or null when no key has this value
+const findKey = async (apiKey) => {
+  const result = await db.query(
+    `SELECT k.key_id, k.scopes, k.allowed_origins, k.revoked_at,
+            k.expires_at::text AS expires_at, k.last_used_at::text AS last_used_at,
+            a.app_id, a.app_name, a.is_active, a.privacy_mode
+     FROM api_keys k
+     JOIN apps a ON a.app_id = k.app_id
+     WHERE k.key_hash = $1`,
+    [hashKey(apiKey)]
+  );
+
+  return result.rows[0] || null;
+};
+
+const isExpired = (key) => Boolean(key.expires_at) && parseTimestamp(key.expires_at) <= new Date();
+
+// Keys without an origin list work from anywhere; otherwise the request's
+// Origin header must be listed
+const originAllowed = (key, origin) => !key.allowed_origins || key.allowed_origins.includes(origin);
+
+// Record use of a key. Never throws: bookkeeping must not fail requests.
+const touch = (key) => {
+  const now = new Date();
+
+  if (key.last_used_at && now - parseTimestamp(key.last_used_at) < TOUCH_INTERVAL_MS) {
+    return;
+  }
+
+  db.query('UPDATE api_keys SET last_used_at = $1 WHERE key_id = $2', [now.toISOString(), key.key_id])
+    .catch((err) => console.error('API key touch error:', err));
+};
+
+module.exports = {
+  SCOPES,
+  ROTATION_GRACE_HOURS,
+  KEY_COLUMNS,
+  hashKey,
+  generateKey,
+  validateKeyOptions,
+  validateGraceHours,
+  createKey,
+  rotateKey,
+  expireOtherKeys,
+  adoptLegacyKey,
+  findKey,
+  isExpired,
+  originAllowed,
+  touch,
+};
@@ -0,0 +1,101 @@
+// Campaign attribution for goal conversions. A touch is a page_view that
+// carried a traffic source (UTM-tagged or external referrer, including
+// direct). Each conversion is credited to the visitor's first or last touch
+// within the lookback window before it.
+
+const MODELS = {
+  first_touch: 'ASC',
+  last_touch: 'DESC',
+};
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+const MAX_LOOKBACK_DAYS = 365;
+
+const buildConversionQuery = ({ appId, goal, model, lookbackDays, startDate, endDate }) => {
+  const params = [appId, goal, lookbackDays];
+  const filters = [];
+
+  if (startDate) {
+    params.push(startDate);
+    filters.push(`timestamp >= $${params.length}`);
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    filters.push(`timestamp <= $${params.length}`);
+  }
+
+  const text = `
+    WITH conversions AS (
+      SELECT event_id, visitor_id, timestamp AS converted_at
+      FROM analytics_events
+      WHERE app_id = $1 AND event_name = $2 AND visitor_id IS NOT NULL AND is_bot = false
+        ${filters.map((filter) => `AND ${filter}`).join(' ')}
+    ),
+    touches AS (
+      SELECT
+        c.event_id,
+        c.visitor_id,
+        t.traffic_source,
+        t.traffic_medium,
+        t.utm_campaign,
+        ROW_NUMBER() OVER (
+          PARTITION BY c.event_id
+          ORDER BY t.timestamp ${MODELS[model]}
+        ) AS touch_rank
+      FROM conversions c
+      JOIN analytics_events t
+        ON t.app_id = $1 AND t.visitor_id = c.visitor_id
+       AND t.event_name = 'page_view' AND t.traffic_source IS NOT NULL
+       AND t.timestamp <= c.converted_at
+       AND t.timestamp >= c.converted_at - make_interval(days => $3)
+    )
+    SELECT
+      COALESCE(utm_campaign, '(none)') AS campaign,
+      traffic_source AS source,
+      traffic_medium AS medium,
+      COUNT(*) AS conversions,
+      COUNT(DISTINCT visitor_id) AS converters
+    FROM touches
+    WHERE touch_rank = 1
+    GROUP BY 1, 2, 3
+    UNION ALL
+    SELECT '(total)', NULL, NULL, COUNT(*), COUNT(DISTINCT visitor_id)
+    FROM conversions`;
+
+  return { text, params };
+};
+
+// The `limit` campaigns with most conversions; unattributed counts all of them
+const formatConversions = (rows, limit) => {
+  const totalRow = rows.find((row) => row.campaign === '(total)' && row.source === null);
+  const total = totalRow ? Number(totalRow.conversions) : 0;
+
+  const campaigns = rows
+    .filter((row) => row !== totalRow)
+    .map((row) => ({
+      campaign: row.campaign,
+      source: row.source,
+      medium: row.medium,
+      conversions: Number(row.conversions),
+      converters: Number(row.converters),
+      share: total > 0 ? Number(row.conversions) / total : 0,
+    }))
+    .sort((a, b) => b.conversions - a.conversions);
+
+  const attributed = campaigns.reduce((sum, row) => sum + row.conversions, 0);
+
+  return {
+    totalConversions: total,
+    unattributed: total - attributed,
+    campaigns: campaigns.slice(0, limit),
+  };
+};
+
+module.exports = {
+  MODELS,
+  DEFAULT_LOOKBACK_DAYS,
+  MAX_LOOKBACK_DAYS,
+  buildConversionQuery,
+  formatConversions,
+};
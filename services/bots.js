@@ -0,0 +1,116 @@
+// Bot and crawler detection for the collect path. Three signals are checked:
+// a user-agent pattern list (data/bot-patterns.json, or BOT_PATTERNS_PATH),
+// browser headers that real browsers always send, and per-IP request bursts.
+
+const fs = require('fs');
+const path = require('path');
+
+const BOT_ACTION = process.env.BOT_ACTION === 'drop' ? 'drop' : 'flag';
+const BURST_LIMIT = parseInt(process.env.BOT_BURST_LIMIT, 10) || 120;
+const BURST_WINDOW_MS = parseInt(process.env.BOT_BURST_WINDOW_MS, 10) || 60 * 1000;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const loadPatterns = () => {
+  const file = process.env.BOT_PATTERNS_PATH
+    || path.join(__dirname, '..', 'data', 'bot-patterns.json');
+  const patterns = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  return new RegExp(patterns.map(escapeRegExp).join('|'), 'i');
+};
+
+const BOT_PATTERN = loadPatterns();
+
+// Sliding per-IP counters for burst detection
+const hits = new Map();
+
+const isBotUserAgent = (ua) => Boolean(ua) && BOT_PATTERN.test(ua);
+
+// Browsers always send Accept-Language; fetch/beacon also send Sec-Fetch-*
+const hasBrowserHeaders = (headers) => Boolean(
+  headers['accept-language'] && (headers['sec-fetch-site'] || headers['sec-fetch-mode'] || headers.referer || headers.origin)
+);
+
+const recordHit = (ip) => {
+  if (!ip) {
+    return 0;
+  }
+
+  const now = Date.now();
+  const entry = hits.get(ip);
+
+  if (!entry || now - entry.start > BURST_WINDOW_MS) {
+    hits.set(ip, { start: now, count: 1 });
+    return 1;
+  }
+
+  entry.count += 1;
+  return entry.count;
+};
+
+// Burst counts already taken per HTTP request and IP, so a batch of events
+// counts as one request
+const requestHits = new WeakMap();
+
+const recordRequest = (request, ip) => {
+  if (!request) {
+    return recordHit(ip);
+  }
+
+  let counted = requestHits.get(request);
+  if (!counted) {
+    counted = new Map();
+    requestHits.set(request, counted);
+  }
+
+  if (!counted.has(ip)) {
+    counted.set(ip, recordHit(ip));
+  }
+  return counted.get(ip);
+};
+
+// Drop idle counters so the map does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, entry] of hits) {
+    if (now - entry.start > BURST_WINDOW_MS) {
+      hits.delete(ip);
+    }
+  }
+}, BURST_WINDOW_MS).unref();
+
+// Classify a request. `forwarded` marks events whose user agent was supplied
+// in the body by a server-side SDK, which legitimately lacks browser headers.
+// Events of one `request` count once towards the per-IP burst limit.
+const detectBot = ({ userAgent, ip, headers, forwarded = false, request = null }) => {
+  if (!userAgent) {
+    return { isBot: true, reason: 'missing_user_agent' };
+  }
+
+  if (isBotUserAgent(userAgent)) {
+    return { isBot: true, reason: 'user_agent' };
+  }
+
+  if (!forwarded && !hasBrowserHeaders(headers)) {
+    return { isBot: true, reason: 'missing_browser_headers' };
+  }
+
+  if (recordRequest(request, ip) > BURST_LIMIT) {
+    return { isBot: true, reason: 'burst' };
+  }
+
+  return { isBot: false, reason: null };
+};
+
+// SQL fragment excluding bot traffic unless ?include_bots=true
+const botFilter = (query, column = 'is_bot') => (
+  query.include_bots === 'true' ? '' : ` AND ${column} = false`
+);
+
+module.exports = {
+  BOT_ACTION,
+  BOT_PATTERN,
+  isBotUserAgent,
+  detectBot,
+  botFilter,
+};
@@ -0,0 +1,141 @@
+// Cohort retention: visitors are grouped by the period in which they first
+// did the cohort event, then counted again in each following period in which
+// they did the return event. Visitors are identified by visitor_id, the same
+// identity used for unique_users.
+
+const { parseTimestamp } = require('./rollups');
+
+const GRANULARITIES = {
+  day: { interval: 'day', defaultPeriods: 14 },
+  week: { interval: 'week', defaultPeriods: 8 },
+  month: { interval: 'month', defaultPeriods: 6 },
+};
+
+const MAX_PERIODS = 52;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of whole periods between two period starts
+const periodIndex = (granularity, from, to) => {
+  if (granularity === 'month') {
+    return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+  }
+
+  const size = granularity === 'week' ? 7 * DAY_MS : DAY_MS;
+  return Math.round((to - from) / size);
+};
+
+// Cohort CTE shared by both queries; params starts as [appId, cohortEvent, interval]
+const cohortCte = (params, { startDate, endDate, botCondition }) => {
+  const filters = [];
+
+  if (startDate) {
+    params.push(startDate);
+    filters.push(`first_at >= $${params.length}`);
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    filters.push(`first_at <= $${params.length}`);
+  }
+
+  return `
+    WITH firsts AS (
+      SELECT visitor_id, MIN(timestamp) AS first_at
+      FROM analytics_events
+      WHERE app_id = $1 AND event_name = $2 AND visitor_id IS NOT NULL${botCondition}
+      GROUP BY visitor_id
+    ),
+    cohort AS (
+      SELECT visitor_id, date_trunc($3, first_at) AS cohort_start
+      FROM firsts
+      ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+    )`;
+};
+
+const buildCohortQueries = ({
+  appId,
+  cohortEvent,
+  returnEvent,
+  granularity,
+  periods,
+  startDate,
+  endDate,
+  includeBots,
+}) => {
+  const { interval } = GRANULARITIES[granularity];
+  const botCondition = includeBots ? '' : ' AND is_bot = false';
+  const options = { startDate, endDate, botCondition };
+
+  const sizeParams = [appId, cohortEvent, interval];
+  const sizes = {
+    text: `${cohortCte(sizeParams, options)}
+      SELECT cohort_start::text AS cohort_start, COUNT(*) AS visitors
+      FROM cohort
+      GROUP BY 1
+      ORDER BY 1`,
+    params: sizeParams,
+  };
+
+  const returnParams = [appId, cohortEvent, interval];
+  const cte = cohortCte(returnParams, options);
+  returnParams.push(returnEvent, `1 ${interval}`, `${periods + 1} ${interval}s`);
+  const n = returnParams.length;
+
+  const returns = {
+    text: `${cte}
+      SELECT
+        c.cohort_start::text AS cohort_start,
+        date_trunc($3, e.timestamp)::text AS period_start,
+        COUNT(DISTINCT c.visitor_id) AS visitors
+      FROM cohort c
+      JOIN analytics_events e
+        ON e.app_id = $1 AND e.visitor_id = c.visitor_id AND e.event_name = $${n - 2}
+       AND e.timestamp >= c.cohort_start + $${n - 1}::interval
+       AND e.timestamp < c.cohort_start + $${n}::interval${botCondition.replace('is_bot', 'e.is_bot')}
+      GROUP BY 1, 2`,
+    params: returnParams,
+  };
+
+  return { sizes, returns };
+};
+
+// Assemble the retention matrix from cohort sizes and return counts
+const buildMatrix = ({ granularity, periods, sizes, returns }) => {
+  const cohorts = new Map();
+
+  for (const row of sizes) {
+    const size = Number(row.visitors);
+    cohorts.set(row.cohort_start, {
+      cohort_start: parseTimestamp(row.cohort_start),
+      size,
+      retention: Array.from({ length: periods }, (_, i) => ({
+        period: i + 1,
+        visitors: 0,
+        rate: 0,
+      })),
+    });
+  }
+
+  for (const row of returns) {
+    const cohort = cohorts.get(row.cohort_start);
+    if (!cohort) {
+      continue;
+    }
+
+    const index = periodIndex(granularity, cohort.cohort_start, parseTimestamp(row.period_start));
+    const cell = cohort.retention[index - 1];
+    if (cell) {
+      cell.visitors = Number(row.visitors);
+      cell.rate = cohort.size > 0 ? cell.visitors / cohort.size : 0;
+    }
+  }
+
+  return Array.from(cohorts.values());
+};
+
+module.exports = {
+  GRANULARITIES,
+  MAX_PERIODS,
+  buildCohortQueries,
+  buildMatrix,
+};
@@ -0,0 +1,160 @@
+// Period-over-period comparison for aggregate endpoints. A comparison range
+// is either the period immediately before the requested one (same length),
+// the same dates a year earlier, or an explicit compareStartDate/EndDate.
+// Rows from both periods are matched on their dimension values; time-series
+// buckets are matched on their position in each period so the two series can
+// be overlaid.
+
+const COMPARE_MODES = ['previous_period', 'previous_year', 'custom'];
+
+const isValidDate = (value) => value !== undefined && !Number.isNaN(new Date(value).getTime());
+
+// Check compare-related query options, returning an error message or null
+const validateComparison = ({ compare, startDate, endDate, compareStartDate, compareEndDate }) => {
+  if (compare === undefined) {
+    return null;
+  }
+
+  if (!COMPARE_MODES.includes(compare)) {
+    return `compare must be one of: ${COMPARE_MODES.join(', ')}`;
+  }
+
+  if (startDate !== undefined && !isValidDate(startDate)) {
+    return 'startDate must be a valid date';
+  }
+
+  if (endDate !== undefined && !isValidDate(endDate)) {
+    return 'endDate must be a valid date';
+  }
+
+  if (startDate !== undefined && endDate !== undefined && new Date(endDate) < new Date(startDate)) {
+    return 'endDate must not be before startDate';
+  }
+
+  if (compare === 'custom') {
+    if (!isValidDate(compareStartDate) || !isValidDate(compareEndDate)) {
+      return 'compareStartDate and compareEndDate are required when compare is custom';
+    }
+    if (new Date(compareEndDate) < new Date(compareStartDate)) {
+      return 'compareEndDate must not be before compareStartDate';
+    }
+    return null;
+  }
+
+  if (startDate === undefined) {
+    return `startDate is required when compare is ${compare}`;
+  }
+
+  return null;
+};
+
+// { mode, current, previous } with ISO { startDate, endDate } ranges, or null
+const resolveComparison = (options, now = new Date()) => {
+  const { compare, startDate, endDate, compareStartDate, compareEndDate } = options;
+
+  if (compare === undefined) {
+    return null;
+  }
+
+  const end = endDate ? new Date(endDate) : now;
+  let start = startDate ? new Date(startDate) : null;
+  let previousStart;
+  let previousEnd;
+
+  if (compare === 'custom') {
+    previousStart = new Date(compareStartDate);
+    previousEnd = new Date(compareEndDate);
+    start = start || new Date(end.getTime() - (previousEnd - previousStart));
+  } else if (compare === 'previous_year') {
+    previousStart = new Date(start);
+    previousStart.setUTCFullYear(previousStart.getUTCFullYear() - 1);
+    previousEnd = new Date(end);
+    previousEnd.setUTCFullYear(previousEnd.getUTCFullYear() - 1);
+  } else {
+    // Same length, ending just before the current period starts
+    previousStart = new Date(start.getTime() - (end - start));
+    previousEnd = new Date(start.getTime() - 1);
+  }
+
+  return {
+    mode: compare,
+    current: { startDate: start.toISOString(), endDate: end.toISOString() },
+    previous: { startDate: previousStart.toISOString(), endDate: previousEnd.toISOString() },
+  };
+};
+
+const delta = (current, previous) => ({
+  current,
+  previous,
+  change: current - previous,
+  change_pct: previous ? Math.round(((current - previous) / previous) * 10000) / 100 : null,
+});
+
+// Pair rows from both periods on their key fields; a row missing from one
+// period counts as zero there
+const compareRows = (currentRows, previousRows, { keys, metrics }) => {
+  const rowKey = (row) => JSON.stringify(keys.map((key) => row[key] === undefined ? null : row[key]));
+  const pairs = new Map();
+
+  const add = (rows, side) => {
+    for (const row of rows) {
+      const key = rowKey(row);
+      if (!pairs.has(key)) {
+        pairs.set(key, { keys: row, current: null, previous: null });
+      }
+      pairs.get(key)[side] = row;
+    }
+  };
+
+  add(currentRows, 'current');
+  add(previousRows, 'previous');
+
+  return Array.from(pairs.values()).map((pair) => {
+    const result = {};
+    keys.forEach((key) => {
+      result[key] = pair.keys[key] === undefined ? null : pair.keys[key];
+    });
+    metrics.forEach((metric) => {
+      result[metric] = delta(
+        pair.current ? Number(pair.current[metric]) || 0 : 0,
+        pair.previous ? Number(pair.previous[metric]) || 0 : 0
+      );
+    });
+    return result;
+  });
+};
+
+// Overlay two gap-filled time series bucket by bucket. Both series cover
+// ranges of the same length, so buckets pair up by position; `offset` is the
+// position of the first row when the series are paginated.
+const alignBuckets = (currentRows, previousRows, { metrics, offset = 0 }) => {
+  const length = Math.max(currentRows.length, previousRows.length);
+  const buckets = [];
+
+  for (let index = 0; index < length; index++) {
+    const current = currentRows[index];
+    const previous = previousRows[index];
+    const result = {
+      bucket: offset + index,
+      time_bucket: current ? current.time_bucket : null,
+      previous_time_bucket: previous ? previous.time_bucket : null,
+    };
+    metrics.forEach((metric) => {
+      result[metric] = delta(
+        current ? Number(current[metric]) || 0 : 0,
+        previous ? Number(previous[metric]) || 0 : 0
+      );
+    });
+    buckets.push(result);
+  }
+
+  return buckets;
+};
+
+module.exports = {
+  COMPARE_MODES,
+  validateComparison,
+  resolveComparison,
+  compareRows,
+  alignBuckets,
+};
@@ -0,0 +1,192 @@
+const { parseUserAgent } = require('./userAgent');
+const geo = require('./geo');
+const { detectBot } = require('./bots');
+const privacy = require('./privacy');
+const { parseTrafficSource } = require('./referrers');
+const { SOURCES, HOUR_MS, floorTo } = require('./rollups');
+
+const EVENT_COLUMNS = [
+  'app_id',
+  'event_name',
+  'url',
+  'referrer',
+  'device',
+  'ip_address',
+  'timestamp',
+  'metadata',
+  'user_agent',
+  'browser',
+  'browser_version',
+  'os',
+  'os_version',
+  'country',
+  'region',
+  'city',
+  'is_bot',
+  'visitor_id',
+  'traffic_source',
+  'traffic_medium',
+  'utm_source',
+  'utm_medium',
+  'utm_campaign',
+  'utm_term',
+  'utm_content',
+];
+
+// Check a single event payload, returning an error message or null
+const validateEvent = (payload) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return 'event must be an object';
+  }
+
+  const { event, url, timestamp, metadata } = payload;
+
+  if (!event || !url) {
+    return 'event and url are required';
+  }
+
+  if (typeof event !== 'string' || typeof url !== 'string') {
+    return 'event and url must be strings';
+  }
+
+  if (timestamp !== undefined && timestamp !== null && Number.isNaN(Date.parse(timestamp))) {
+    return 'timestamp must be a valid date';
+  }
+
+  if (metadata !== undefined && metadata !== null
+    && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+    return 'metadata must be an object';
+  }
+
+  return null;
+};
+
+// Derive server-side fields for a validated payload. Client-supplied
+// device/browser/os/location are only kept when the payload sets keepClientValues.
+// The raw IP is only used here; what gets stored depends on the app's privacy mode.
+// It is always the connection address (see TRUST_PROXY); a client-supplied
+// ipAddress is ignored, since geolocation, bot bursts and privacy hashing rely on it.
+const enrichEvent = async (payload, req) => {
+  const userAgent = payload.user_agent || req.headers['user-agent'] || null;
+  const parsed = parseUserAgent(userAgent);
+  const rawIp = req.ip || null;
+  const location = geo.lookup(rawIp) || {};
+  const bot = detectBot({
+    userAgent,
+    ip: rawIp,
+    headers: req.headers,
+    forwarded: Boolean(payload.user_agent),
+    request: req,
+  });
+  const traffic = parseTrafficSource(payload.url, payload.referrer);
+  const identity = await privacy.identify({
+    appId: req.appId,
+    ip: rawIp,
+    userAgent,
+    privacyMode: req.privacyMode,
+  });
+  const keepClient = payload.keepClientValues === true;
+  const pick = (clientValue, parsedValue) => (
+    keepClient && clientValue ? clientValue : parsedValue
+  );
+
+  return {
+    ...payload,
+    ipAddress: identity.ipAddress,
+    visitorId: identity.visitorId,
+    userAgent,
+    device: pick(payload.device, parsed.device),
+    browser: pick(payload.browser, parsed.browser),
+    browserVersion: pick(payload.browser_version, parsed.browserVersion),
+    os: pick(payload.os, parsed.os),
+    osVersion: pick(payload.os_version, parsed.osVersion),
+    country: pick(payload.country, location.country),
+    region: pick(payload.region, location.region),
+    city: pick(payload.city, location.city),
+    isBot: bot.isBot,
+    botReason: bot.reason,
+    ...traffic,
+  };
+};
+
+// Map an enriched event to the analytics_events column order
+const toEventRow = (appId, event) => [
+  appId,
+  event.event,
+  event.url,
+  event.referrer || null,
+  event.device || null,
+  event.ipAddress || null,
+  event.timestamp || new Date().toISOString(),
+  event.metadata ? JSON.stringify(event.metadata) : null,
+  event.userAgent || null,
+  event.browser || null,
+  event.browserVersion || null,
+  event.os || null,
+  event.osVersion || null,
+  event.country || null,
+  event.region || null,
+  event.city || null,
+  Boolean(event.isBot),
+  event.visitorId || null,
+  event.trafficSource || null,
+  event.trafficMedium || null,
+  event.utm_source || null,
+  event.utm_medium || null,
+  event.utm_campaign || null,
+  event.utm_term || null,
+  event.utm_content || null,
+];
+
+// Insert many rows with a single multi-row statement, returning their ids
+const insertRows = async (client, table, columns, rows, idColumn) => {
+  const params = [];
+  const values = rows.map((row) => {
+    const placeholders = row.map((value) => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+
+  const insert = `INSERT INTO ${table} (${columns.join(', ')})
+     VALUES ${values.join(', ')}`;
+  const source = SOURCES[table];
+
+  if (!source) {
+    const result = await client.query(`${insert} RETURNING ${idColumn}`, params);
+    return result.rows.map((row) => row[idColumn]);
+  }
+
+  // Events from before the current hour may land in hours that are already
+  // rolled up; mark those hours in the same statement so jobs/rollups.js
+  // rebuilds them
+  params.push(floorTo(new Date(), HOUR_MS).toISOString());
+  const result = await client.query(
+    `WITH inserted AS (
+       ${insert}
+       RETURNING ${idColumn}, app_id, ${source.time}
+     ), dirty AS (
+       INSERT INTO rollup_dirty_hours (source, app_id, hour)
+       SELECT DISTINCT '${table}', app_id, date_trunc('hour', ${source.time})
+       FROM inserted
+       WHERE ${source.time} < $${params.length}
+       ON CONFLICT DO NOTHING
+     )
+     SELECT ${idColumn} FROM inserted`,
+    params
+  );
+
+  return result.rows.map((row) => row[idColumn]);
+};
+
+const insertEvents = (client, rows) => insertRows(client, 'analytics_events', EVENT_COLUMNS, rows, 'event_id');
+
+module.exports = {
+  EVENT_COLUMNS,
+  validateEvent,
+  enrichEvent,
+  toEventRow,
+  insertRows,
+  insertEvents,
+};
@@ -0,0 +1,146 @@
+// Funnel definitions and conversion queries over analytics_events.
+// A step matches an event name, optionally narrowed by a url pattern
+// (`*` wildcards) and metadata key/value equality. Visitors enter on their
+// first matching step-1 event inside the date range and must complete each
+// following step, in order, within the funnel's window.
+
+const MAX_STEPS = 10;
+const DEFAULT_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Check a funnel definition, returning an error message or null
+const validateFunnel = ({ name, steps, windowSeconds }) => {
+  if (!name || typeof name !== 'string') {
+    return 'name is required';
+  }
+
+  if (!Array.isArray(steps) || steps.length < 2 || steps.length > MAX_STEPS) {
+    return `steps must be an array of 2 to ${MAX_STEPS} steps`;
+  }
+
+  for (const [index, step] of steps.entries()) {
+    if (!step || typeof step.event !== 'string' || !step.event) {
+      return `steps[${index}].event is required`;
+    }
+
+    if (step.url !== undefined && typeof step.url !== 'string') {
+      return `steps[${index}].url must be a string`;
+    }
+
+    if (step.metadata !== undefined
+      && (typeof step.metadata !== 'object' || step.metadata === null || Array.isArray(step.metadata))) {
+      return `steps[${index}].metadata must be an object`;
+    }
+  }
+
+  if (windowSeconds !== undefined && (!Number.isInteger(windowSeconds) || windowSeconds < 1)) {
+    return 'windowSeconds must be a positive integer';
+  }
+
+  return null;
+};
+
+// `*` matches anything; LIKE metacharacters in the pattern are literal
+const urlPatternToLike = (pattern) => pattern
+  .replace(/[\\%_]/g, '\\$&')
+  .replace(/\*/g, '%');
+
+// SQL condition for one step against alias `e`, appending to params
+const stepCondition = (step, params) => {
+  params.push(step.event);
+  const conditions = [`e.event_name = $${params.length}`];
+
+  if (step.url) {
+    params.push(urlPatternToLike(step.url));
+    conditions.push(`e.url LIKE $${params.length}`);
+  }
+
+  if (step.metadata) {
+    params.push(JSON.stringify(step.metadata));
+    conditions.push(`e.metadata @> $${params.length}::jsonb`);
+  }
+
+  return conditions.join(' AND ');
+};
+
+// Build the conversion query: one CTE per step, each step's timestamp
+// strictly after the previous one and within the window of the entry
+const buildFunnelQuery = ({ appId, steps, windowSeconds, startDate, endDate, includeBots }) => {
+  const params = [appId, windowSeconds];
+  const botCondition = includeBots ? '' : ' AND e.is_bot = false';
+  const ctes = [];
+
+  const entryConditions = [stepCondition(steps[0], params)];
+
+  if (startDate) {
+    params.push(startDate);
+    entryConditions.push(`e.timestamp >= $${params.length}`);
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    entryConditions.push(`e.timestamp <= $${params.length}`);
+  }
+
+  ctes.push(`step1 AS (
+      SELECT e.visitor_id, MIN(e.timestamp) AS entered_at, MIN(e.timestamp) AS reached_at
+      FROM analytics_events e
+      WHERE e.app_id = $1 AND e.visitor_id IS NOT NULL${botCondition}
+        AND ${entryConditions.join(' AND ')}
+      GROUP BY e.visitor_id
+    )`);
+
+  for (let i = 1; i < steps.length; i++) {
+    ctes.push(`step${i + 1} AS (
+      SELECT p.visitor_id, p.entered_at, MIN(e.timestamp) AS reached_at
+      FROM step${i} p
+      JOIN analytics_events e
+        ON e.app_id = $1 AND e.visitor_id = p.visitor_id
+       AND e.timestamp > p.reached_at
+       AND e.timestamp <= p.entered_at + make_interval(secs => $2)${botCondition}
+      WHERE ${stepCondition(steps[i], params)}
+      GROUP BY p.visitor_id, p.entered_at
+    )`);
+  }
+
+  const counts = steps.map((_, i) => `(SELECT COUNT(*) FROM step${i + 1}) AS step${i + 1}`);
+  const durations = steps.slice(1).map((_, i) => (
+    `(SELECT AVG(EXTRACT(EPOCH FROM reached_at - entered_at)) FROM step${i + 2}) AS step${i + 2}_seconds`
+  ));
+
+  return {
+    text: `WITH ${ctes.join(',\n    ')}
+    SELECT ${[...counts, ...durations].join(', ')}`,
+    params,
+  };
+};
+
+// Turn the per-step counts into conversion and drop-off figures
+const formatReport = (steps, row) => {
+  const entered = Number(row.step1);
+
+  return steps.map((step, i) => {
+    const visitors = Number(row[`step${i + 1}`]);
+    const previous = i === 0 ? visitors : Number(row[`step${i}`]);
+    const seconds = row[`step${i + 1}_seconds`];
+
+    return {
+      step: i + 1,
+      event: step.event,
+      url: step.url || null,
+      metadata: step.metadata || null,
+      visitors,
+      conversion_rate: entered > 0 ? visitors / entered : 0,
+      step_conversion_rate: previous > 0 ? visitors / previous : 0,
+      drop_off: previous - visitors,
+      avg_seconds_from_entry: seconds === undefined || seconds === null ? null : Number(seconds),
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_WINDOW_SECONDS,
+  validateFunnel,
+  urlPatternToLike,
+  buildFunnelQuery,
+  formatReport,
+};
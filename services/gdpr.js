@@ -0,0 +1,218 @@
+// Data subject lookup, export and erasure. A subject is identified by one of
+// an IP address, a visitor ID or the metadata.user_id set by the client.
+// Events expired in archive mode (RETENTION_MODE=archive) are covered too.
+
+const crypto = require('crypto');
+const { parseTimestamp, rebuildHours, markDirtyHours } = require('./rollups');
+const { storedIpForms } = require('./privacy');
+
+const IDENTIFIER_TYPES = {
+  ip: { column: 'ip_address', legacyColumn: null },
+  visitorId: { column: 'visitor_id', legacyColumn: null },
+  userId: { column: "metadata->>'user_id'", legacyColumn: "custom_data->>'user_id'" },
+};
+
+// Pick the identifier supplied in a query string or body
+const resolveSubject = (source) => {
+  const type = Object.keys(IDENTIFIER_TYPES).find((key) => source[key]);
+
+  if (!type) {
+    return null;
+  }
+
+  return { type, value: String(source[type]), ...IDENTIFIER_TYPES[type] };
+};
+
+// The values to match for a subject. IPs are stored truncated or hashed
+// depending on the app's privacy mode, so those forms are matched as well.
+const subjectValues = async (subject, privacyMode) => (
+  subject.type === 'ip' ? storedIpForms(subject.value, privacyMode) : [subject.value]
+);
+
+// Tables holding archived events: analytics_events_archive and the expired
+// partitions jobs/partitions.js detached from analytics_events
+const archiveTables = async (client) => {
+  const result = await client.query(
+    `SELECT c.relname AS name
+     FROM pg_class c
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = current_schema() AND c.relkind = 'r' AND NOT c.relispartition
+       AND (c.relname = 'analytics_events_archive' OR c.relname LIKE 'analytics\\_events\\_p%')
+     ORDER BY c.relname`
+  );
+  return result.rows.map((row) => row.name);
+};
+
+const findEvents = async (client, appId, subject, privacyMode) => {
+  const values = await subjectValues(subject, privacyMode);
+  const result = await client.query(
+    `SELECT * FROM analytics_events
+     WHERE app_id = $1 AND ${subject.column} = ANY($2::text[])
+     ORDER BY timestamp`,
+    [appId, values]
+  );
+
+  // archived_in names the archive table of each row
+  const archived = [];
+  for (const table of await archiveTables(client)) {
+    const archiveResult = await client.query(
+      `SELECT *, $3::text AS archived_in FROM ${table}
+       WHERE app_id = $1 AND ${subject.column} = ANY($2::text[])
+       ORDER BY timestamp`,
+      [appId, values, table]
+    );
+    archived.push(...archiveResult.rows);
+  }
+
+  let legacy = [];
+  if (subject.legacyColumn) {
+    const legacyResult = await client.query(
+      `SELECT * FROM events
+       WHERE app_id = $1 AND ${subject.legacyColumn} = $2
+       ORDER BY created_at`,
+      [appId, subject.value]
+    );
+    legacy = legacyResult.rows;
+  }
+
+  return { events: result.rows, archivedEvents: archived, legacyEvents: legacy };
+};
+
+// Delete a subject's events and sessions, returning the hours whose rollups
+// must be rebuilt. The hours are also queued in rollup_dirty_hours, so the
+// rollup job rebuilds them should rebuildDerived not complete.
+const eraseEvents = async (client, appId, subject, privacyMode) => {
+  const values = await subjectValues(subject, privacyMode);
+  const result = await client.query(
+    `DELETE FROM analytics_events
+     WHERE app_id = $1 AND ${subject.column} = ANY($2::text[])
+     RETURNING date_trunc('hour', timestamp)::text AS hour, visitor_id`,
+    [appId, values]
+  );
+
+  // Archived events are outside every rollup, so only the rows go
+  let archivedEvents = 0;
+  for (const table of await archiveTables(client)) {
+    const archiveResult = await client.query(
+      `DELETE FROM ${table} WHERE app_id = $1 AND ${subject.column} = ANY($2::text[])`,
+      [appId, values]
+    );
+    archivedEvents += archiveResult.rowCount;
+  }
+
+  const visitorIds = [...new Set(result.rows.map((row) => row.visitor_id).filter(Boolean))];
+  const sessions = await client.query(
+    'DELETE FROM sessions WHERE app_id = $1 AND visitor_id = ANY($2::text[])',
+    [appId, visitorIds]
+  );
+
+  let legacyRows = [];
+  if (subject.legacyColumn) {
+    const legacyResult = await client.query(
+      `DELETE FROM events
+       WHERE app_id = $1 AND ${subject.legacyColumn} = $2
+       RETURNING date_trunc('hour', created_at)::text AS hour`,
+      [appId, subject.value]
+    );
+    legacyRows = legacyResult.rows;
+  }
+
+  const hoursOf = (rows) => [...new Set(rows.map((row) => row.hour))].map(parseTimestamp);
+  const hours = {
+    analytics_events: hoursOf(result.rows),
+    events: hoursOf(legacyRows),
+  };
+
+  for (const [source, sourceHours] of Object.entries(hours)) {
+    await markDirtyHours(client, source, appId, sourceHours);
+  }
+
+  return {
+    events: result.rowCount,
+    archivedEvents,
+    legacyEvents: legacyRows.length,
+    sessions: sessions.rowCount,
+    hours,
+  };
+};
+
+// Rebuild rollups so aggregates no longer include the erased events
+const rebuildDerived = async (appId, hours) => {
+  for (const [source, sourceHours] of Object.entries(hours)) {
+    await rebuildHours(source, appId, sourceHours);
+  }
+};
+
+const CSV_COLUMNS = [
+  'source',
+  'event_id',
+  'event_name',
+  'url',
+  'referrer',
+  'timestamp',
+  'device',
+  'browser',
+  'browser_version',
+  'os',
+  'os_version',
+  'country',
+  'region',
+  'city',
+  'ip_address',
+  'visitor_id',
+  'user_agent',
+  'metadata',
+];
+
+// Legacy `events` rows in the analytics_events column names
+const fromLegacy = (row) => ({
+  ...row,
+  event_id: row.id,
+  event_name: row.event,
+  timestamp: row.created_at,
+  metadata: row.custom_data,
+});
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : value;
+  if (typeof text === 'object') {
+    text = JSON.stringify(text);
+  }
+  text = String(text);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV of both event tables; the source column names the table of each row
+const toCsv = ({ events, archivedEvents, legacyEvents }) => {
+  const rows = [
+    ...events.map((row) => ({ ...row, source: 'analytics_events' })),
+    ...archivedEvents.map((row) => ({ ...row, source: row.archived_in })),
+    ...legacyEvents.map((row) => ({ ...fromLegacy(row), source: 'events' })),
+  ];
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map((row) => CSV_COLUMNS.map((column) => csvValue(row[column])).join(',')),
+  ].join('\n');
+};
+
+// The audit log keeps a hash of the identifier, never the identifier itself
+const hashIdentifier = (subject) => crypto
+  .createHash('sha256')
+  .update(`${subject.type}:${subject.value}`)
+  .digest('hex');
+
+module.exports = {
+  IDENTIFIER_TYPES,
+  resolveSubject,
+  findEvents,
+  eraseEvents,
+  rebuildDerived,
+  toCsv,
+  hashIdentifier,
+};
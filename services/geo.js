@@ -0,0 +1,175 @@
+// Offline IP geolocation from a local CSV range file. Each line holds
+//   start_ip,end_ip,country,region,city
+// for IPv4 or IPv6 ranges. The file is loaded into memory, searched with
+// a binary search, and reloaded on SIGHUP or when the file changes.
+
+const fs = require('fs');
+const net = require('net');
+
+const GEOIP_DB_PATH = process.env.GEOIP_DB_PATH;
+const WATCH_INTERVAL = 60 * 1000;
+
+let ranges = { v4: [], v6: [] };
+let loadedAt = null;
+
+const ipv6ToBigInt = (ip) => {
+  let address = ip;
+
+  // Embedded IPv4 tail, e.g. ::ffff:192.0.2.1
+  const v4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4Tail) {
+    const octets = v4Tail[1].split('.').map(Number);
+    const hex = ((octets[0] << 8) | octets[1]).toString(16) + ':'
+      + ((octets[2] << 8) | octets[3]).toString(16);
+    address = address.slice(0, -v4Tail[1].length) + hex;
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = address.includes('::')
+    ? [...headGroups, ...Array(missing).fill('0'), ...tailGroups]
+    : headGroups;
+
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group || '0', 16)), 0n);
+};
+
+// Convert an address to { family, value } for range comparison
+const ipToKey = (ip) => {
+  if (!ip) {
+    return null;
+  }
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const address = mapped ? mapped[1] : ip;
+
+  if (net.isIPv4(address)) {
+    const value = address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+    return { family: 'v4', value };
+  }
+
+  if (net.isIPv6(address)) {
+    return { family: 'v6', value: ipv6ToBigInt(address) };
+  }
+
+  return null;
+};
+
+const parseLine = (line) => {
+  const fields = line.split(',').map((field) => field.trim().replace(/^"|"$/g, ''));
+
+  if (fields.length < 3) {
+    return null;
+  }
+
+  const start = ipToKey(fields[0]);
+  const end = ipToKey(fields[1]);
+
+  if (!start || !end || start.family !== end.family) {
+    return null;
+  }
+
+  return {
+    family: start.family,
+    start: start.value,
+    end: end.value,
+    country: fields[2] || null,
+    region: fields[3] || null,
+    city: fields[4] || null,
+  };
+};
+
+// (Re)load the range file; the previous table stays in use if loading fails
+const load = (filePath = GEOIP_DB_PATH) => {
+  if (!filePath) {
+    return false;
+  }
+
+  try {
+    const next = { v4: [], v6: [] };
+    const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+
+    for (const line of lines) {
+      if (!line || line.startsWith('#')) {
+        continue;
+      }
+
+      const range = parseLine(line);
+      if (range) {
+        next[range.family].push(range);
+      }
+    }
+
+    const byStart = (a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0);
+    next.v4.sort(byStart);
+    next.v6.sort(byStart);
+
+    ranges = next;
+    loadedAt = new Date();
+    console.log(`🌍 GeoIP ranges loaded: ${next.v4.length} IPv4, ${next.v6.length} IPv6`);
+    return true;
+  } catch (err) {
+    console.error('GeoIP load error:', err.message);
+    return false;
+  }
+};
+
+// Resolve an IP address to { country, region, city } or null
+const lookup = (ip) => {
+  const key = ipToKey(ip);
+
+  if (!key) {
+    return null;
+  }
+
+  const table = ranges[key.family];
+  let low = 0;
+  let high = table.length - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const range = table[mid];
+
+    if (key.value < range.start) {
+      high = mid - 1;
+    } else if (key.value > range.end) {
+      low = mid + 1;
+    } else {
+      return { country: range.country, region: range.region, city: range.city };
+    }
+  }
+
+  return null;
+};
+
+// Load the configured file and keep it fresh without a restart
+const init = () => {
+  if (!GEOIP_DB_PATH) {
+    return;
+  }
+
+  load();
+
+  process.on('SIGHUP', () => load());
+
+  fs.watchFile(GEOIP_DB_PATH, { interval: WATCH_INTERVAL, persistent: false }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      load();
+    }
+  });
+};
+
+const status = () => ({
+  path: GEOIP_DB_PATH || null,
+  loadedAt,
+  ipv4Ranges: ranges.v4.length,
+  ipv6Ranges: ranges.v6.length,
+});
+
+module.exports = {
+  init,
+  load,
+  lookup,
+  status,
+};
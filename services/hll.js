@@ -0,0 +1,79 @@
+// Minimal HyperLogLog sketch for approximate distinct visitor counts.
+// Sketches are stored as BYTEA in event_rollups and merged in JS, so
+// distinct counts can be combined across buckets without raw visitor IDs.
+
+const crypto = require('crypto');
+
+const PRECISION = 10;
+const REGISTERS = 1 << PRECISION;
+const ALPHA = 0.7213 / (1 + 1.079 / REGISTERS);
+
+const create = () => Buffer.alloc(REGISTERS);
+
+const add = (sketch, value) => {
+  const digest = crypto.createHash('sha1').update(String(value)).digest();
+  const index = digest.readUInt32BE(0) >>> (32 - PRECISION);
+  const rank = Math.clz32(digest.readUInt32BE(4)) + 1;
+
+  if (rank > sketch[index]) {
+    sketch[index] = rank;
+  }
+
+  return sketch;
+};
+
+const fromValues = (values) => {
+  const sketch = create();
+  for (const value of values || []) {
+    add(sketch, value);
+  }
+  return sketch;
+};
+
+// Merge sketches register by register (max), ignoring missing ones
+const merge = (sketches) => {
+  const result = create();
+  for (const sketch of sketches) {
+    if (!sketch) {
+      continue;
+    }
+    for (let i = 0; i < REGISTERS; i++) {
+      if (sketch[i] > result[i]) {
+        result[i] = sketch[i];
+      }
+    }
+  }
+  return result;
+};
+
+const estimate = (sketch) => {
+  if (!sketch) {
+    return 0;
+  }
+
+  let sum = 0;
+  let zeros = 0;
+  for (let i = 0; i < REGISTERS; i++) {
+    sum += 2 ** -sketch[i];
+    if (sketch[i] === 0) {
+      zeros++;
+    }
+  }
+
+  const raw = (ALPHA * REGISTERS * REGISTERS) / sum;
+
+  // Linear counting is more accurate for small cardinalities
+  if (raw <= 2.5 * REGISTERS && zeros > 0) {
+    return Math.round(REGISTERS * Math.log(REGISTERS / zeros));
+  }
+
+  return Math.round(raw);
+};
+
+module.exports = {
+  create,
+  add,
+  fromValues,
+  merge,
+  estimate,
+};
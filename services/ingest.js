@@ -0,0 +1,327 @@
+// Buffered event ingestion. Collect routes validate and enrich events, enqueue
+// them here and answer 202 without waiting for the database. A single writer
+// inserts the buffer in batches, when INGEST_BATCH_SIZE events are waiting or
+// every INGEST_FLUSH_INTERVAL_MS, and only then publishes the events to the
+// live feed and webhooks.
+//
+// The buffer is bounded: enqueue refuses events once INGEST_BUFFER_MAX are
+// waiting, and collect routes answer 503. While the database is unavailable the
+// writer retries with exponential backoff. With INGEST_JOURNAL_PATH set, every
+// buffered event is also appended to a local journal that is replayed on
+// startup, so a crash or a drain that runs out of time loses nothing.
+//
+// Events are written to a target table registered with defineTarget.
+
+const fs = require('fs');
+const db = require('../config/database');
+const { insertEvents } = require('./events');
+const live = require('./live');
+const webhooks = require('./webhooks');
+
+const BUFFER_MAX = parseInt(process.env.INGEST_BUFFER_MAX, 10) || 10000;
+// Stays under PostgreSQL's 65535 bind parameters per statement
+const BATCH_SIZE = Math.min(parseInt(process.env.INGEST_BATCH_SIZE, 10) || 500, 2000);
+const FLUSH_INTERVAL_MS = parseInt(process.env.INGEST_FLUSH_INTERVAL_MS, 10) || 1000;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = parseInt(process.env.INGEST_RETRY_MAX_MS, 10) || 60 * 1000;
+const JOURNAL_PATH = process.env.INGEST_JOURNAL_PATH || null;
+
+// name -> async (rows) => ids, in row order
+const targets = new Map([
+  ['analytics_events', (rows) => insertEvents(db, rows)],
+]);
+
+const buffer = [];
+let accepting = false;
+let timer = null;
+let writing = null;
+let failures = 0;
+let retryAt = 0;
+
+// Journal: one JSON line per buffered event ({ seq, item }) and one per
+// written batch ({ ack }); it is truncated whenever the buffer empties and
+// rewritten when written events outnumber the buffered ones
+let journalFd = null;
+let seq = 0;
+let journaled = 0;
+
+const defineTarget = (name, insert) => {
+  targets.set(name, insert);
+};
+
+const appendJournal = (entry) => {
+  if (journalFd !== null) {
+    fs.writeSync(journalFd, `${JSON.stringify(entry)}\n`);
+  }
+};
+
+// Events left unwritten by the previous process, in order
+const readJournal = () => {
+  if (!fs.existsSync(JOURNAL_PATH)) {
+    return [];
+  }
+
+  const entries = [];
+  let acked = 0;
+
+  for (const line of fs.readFileSync(JOURNAL_PATH, 'utf8').split('\n')) {
+    if (!line) {
+      continue;
+    }
+
+    try {
+      const entry = JSON.parse(line);
+      if (entry.ack !== undefined) {
+        acked = Math.max(acked, entry.ack);
+      } else {
+        entries.push(entry);
+      }
+    } catch (err) {
+      // A line cut short by a crash
+      console.error('Skipping unreadable ingest journal line');
+    }
+  }
+
+  return entries.filter((entry) => entry.seq > acked).map((entry) => entry.item);
+};
+
+// Replace the journal with one holding only the buffered events. The new one
+// is renamed over the old, so a crash midway leaves either of them whole.
+const rewriteJournal = () => {
+  const tmpPath = `${JOURNAL_PATH}.tmp`;
+  seq = 0;
+  fs.writeFileSync(tmpPath, buffer.map((item) => `${JSON.stringify({ seq: ++seq, item })}\n`).join(''));
+  fs.renameSync(tmpPath, JOURNAL_PATH);
+
+  if (journalFd !== null) {
+    fs.closeSync(journalFd);
+  }
+  // Append mode, so writes after a truncate start again at offset 0
+  journalFd = fs.openSync(JOURNAL_PATH, 'a');
+  journaled = buffer.length;
+};
+
+const openJournal = () => {
+  const replayed = readJournal();
+
+  for (const item of replayed) {
+    buffer.push(item);
+  }
+  rewriteJournal();
+
+  if (replayed.length > 0) {
+    console.log(`Replaying ${replayed.length} journaled events`);
+  }
+};
+
+// Queue events of one app; false when the buffer is full or draining.
+// Each item is { target, appId, row, live }, where live is the live feed
+// shape of the event without its id.
+const enqueue = (items) => {
+  if (!accepting || buffer.length + items.length > BUFFER_MAX) {
+    return false;
+  }
+
+  for (const item of items) {
+    buffer.push(item);
+    appendJournal({ seq: ++seq, item });
+    journaled++;
+  }
+
+  if (buffer.length >= BATCH_SIZE) {
+    flush();
+  }
+
+  return true;
+};
+
+// Data errors (bad values, constraint violations) will not succeed on retry
+const isDataError = (err) => typeof err.code === 'string' && /^2[23]/.test(err.code);
+
+const publish = (items, ids) => {
+  const byApp = new Map();
+
+  items.forEach((item, i) => {
+    const events = byApp.get(item.appId) || [];
+    events.push({ ...item.live, eventId: ids[i] });
+    byApp.set(item.appId, events);
+  });
+
+  for (const [appId, events] of byApp) {
+    live.publish(appId, events);
+    webhooks.queueEvents(appId, events);
+  }
+};
+
+// Insert a batch for one target. Resolves to how many leading items were
+// handled (written, or dropped as invalid); throws when none were.
+const writeBatch = async (insert, items) => {
+  try {
+    const ids = await insert(items.map((item) => item.row));
+    publish(items, ids);
+    return items.length;
+  } catch (err) {
+    if (!isDataError(err)) {
+      throw err;
+    }
+  }
+
+  // One bad row fails the whole statement: write row by row and drop bad ones
+  let handled = 0;
+
+  for (const item of items) {
+    try {
+      const ids = await insert([item.row]);
+      publish([item], ids);
+    } catch (err) {
+      if (!isDataError(err)) {
+        if (handled === 0) {
+          throw err;
+        }
+        return handled;
+      }
+      console.error(`Dropping invalid event for app ${item.appId}:`, err.message);
+    }
+    handled++;
+  }
+
+  return handled;
+};
+
+const backoffMs = () => Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+
+const writeNext = async () => {
+  // Batches never mix targets, so a failed batch can be retried as a whole
+  const { target } = buffer[0];
+  let size = 1;
+  while (size < buffer.length && size < BATCH_SIZE && buffer[size].target === target) {
+    size++;
+  }
+
+  const insert = targets.get(target);
+  const batch = buffer.slice(0, size);
+  let handled = 0;
+
+  try {
+    if (!insert) {
+      console.error(`Dropping ${size} events for unknown ingest target ${target}`);
+      handled = size;
+    } else {
+      handled = await writeBatch(insert, batch);
+    }
+  } catch (err) {
+    failures++;
+    retryAt = Date.now() + backoffMs();
+    console.error(`Ingest write failed, retrying in ${backoffMs()}ms:`, err.message);
+    return;
+  }
+
+  buffer.splice(0, handled);
+
+  if (journalFd !== null) {
+    const written = journaled - buffer.length;
+
+    if (buffer.length === 0) {
+      fs.ftruncateSync(journalFd, 0);
+      journaled = 0;
+    } else if (written > Math.max(buffer.length, BATCH_SIZE)) {
+      // Under sustained load the buffer never empties
+      rewriteJournal();
+    } else {
+      appendJournal({ ack: seq - buffer.length });
+    }
+  }
+
+  if (handled < size) {
+    failures++;
+    retryAt = Date.now() + backoffMs();
+  } else {
+    failures = 0;
+    retryAt = 0;
+  }
+};
+
+// Write buffered events until the buffer empties, a write fails or the
+// backoff is pending; concurrent calls share one writer
+const flush = () => {
+  if (!writing) {
+    writing = (async () => {
+      try {
+        while (buffer.length > 0 && Date.now() >= retryAt) {
+          await writeNext();
+        }
+      } catch (err) {
+        console.error('Ingest writer error:', err);
+      }
+    })().finally(() => {
+      writing = null;
+    });
+  }
+
+  return writing;
+};
+
+const start = () => {
+  if (accepting) {
+    return;
+  }
+
+  if (JOURNAL_PATH && journalFd === null) {
+    openJournal();
+  }
+
+  accepting = true;
+  timer = setInterval(flush, FLUSH_INTERVAL_MS);
+  timer.unref();
+  flush();
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stop accepting events and write out the buffer, giving up after timeoutMs.
+// Resolves to the number of events left unwritten (kept in the journal if enabled).
+// A write still running at the deadline is abandoned; its events stay in the
+// journal and may be written twice after a restart.
+const drain = async (timeoutMs) => {
+  accepting = false;
+  clearInterval(timer);
+  timer = null;
+
+  const deadline = Date.now() + timeoutMs;
+
+  while (buffer.length > 0 && Date.now() < deadline) {
+    if (retryAt > Date.now()) {
+      await sleep(Math.min(retryAt, deadline) - Date.now());
+    }
+    // A query can hang on an unresponsive database, so flush may not return
+    await Promise.race([flush(), sleep(deadline - Date.now())]);
+  }
+
+  if (buffer.length > 0) {
+    console.error(`${buffer.length} buffered events were not written${journalFd !== null ? ' (kept in the journal)' : ''}`);
+  }
+
+  if (journalFd !== null) {
+    fs.closeSync(journalFd);
+    journalFd = null;
+  }
+
+  return buffer.length;
+};
+
+const stats = () => ({
+  buffered: buffer.length,
+  capacity: BUFFER_MAX,
+  failures,
+  retryAt: retryAt > Date.now() ? new Date(retryAt).toISOString() : null,
+  journal: Boolean(JOURNAL_PATH),
+});
+
+module.exports = {
+  defineTarget,
+  enqueue,
+  flush,
+  start,
+  drain,
+  stats,
+};
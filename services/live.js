@@ -0,0 +1,266 @@
+// Live event fan-out for the SSE endpoint. Accepted events are published per
+// app and delivered to every subscriber of that app. With LIVE_MODE=postgres
+// events travel through LISTEN/NOTIFY so subscribers on any API instance see
+// events collected by the others; otherwise fan-out stays in this process.
+// Subscribed apps also get a periodic summary of recent activity.
+
+const { EventEmitter } = require('events');
+const db = require('../config/database');
+
+const LIVE_MODE = process.env.LIVE_MODE === 'postgres' ? 'postgres' : 'local';
+const ACTIVE_MINUTES = parseInt(process.env.LIVE_ACTIVE_MINUTES, 10) || 5;
+const SUMMARY_INTERVAL_MS = parseInt(process.env.LIVE_SUMMARY_INTERVAL_MS, 10) || 10000;
+const MAX_CLIENTS = parseInt(process.env.LIVE_MAX_CLIENTS, 10) || 500;
+const CHANNEL = 'analytics_live';
+const RECONNECT_MS = 5000;
+// NOTIFY payloads must stay under 8000 bytes
+const MAX_PAYLOAD_BYTES = 7500;
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+const subscribers = new Map();
+let clientCount = 0;
+let summaryTimer = null;
+let listener = null;
+let reconnectTimer = null;
+let stopped = true;
+
+// The fields a live feed shows; no IP addresses or raw user agents
+const toLiveEvent = (eventId, event) => ({
+  eventId,
+  event: event.event,
+  url: event.url,
+  referrer: event.referrer || null,
+  device: event.device || null,
+  browser: event.browser || null,
+  os: event.os || null,
+  country: event.country || null,
+  city: event.city || null,
+  visitorId: event.visitorId || null,
+  trafficSource: event.trafficSource || null,
+  isBot: Boolean(event.isBot),
+  timestamp: event.timestamp || new Date().toISOString(),
+});
+
+const deliver = (appId, events) => {
+  hub.emit(`events:${appId}`, events);
+};
+
+// Group events into NOTIFY-sized payloads; an event too large on its own is skipped
+const toPayloads = (appId, events) => {
+  const payloads = [];
+  let chunk = [];
+
+  const flush = () => {
+    if (chunk.length > 0) {
+      payloads.push(JSON.stringify({ appId, events: chunk }));
+      chunk = [];
+    }
+  };
+
+  for (const event of events) {
+    const candidate = JSON.stringify({ appId, events: [...chunk, event] });
+
+    if (Buffer.byteLength(candidate) <= MAX_PAYLOAD_BYTES) {
+      chunk.push(event);
+    } else {
+      flush();
+      if (Buffer.byteLength(JSON.stringify({ appId, events: [event] })) <= MAX_PAYLOAD_BYTES) {
+        chunk.push(event);
+      }
+    }
+  }
+
+  flush();
+  return payloads;
+};
+
+// Publish accepted events. Never throws: a live feed must not fail ingestion.
+const publish = async (appId, events) => {
+  if (events.length === 0) {
+    return;
+  }
+
+  if (LIVE_MODE !== 'postgres') {
+    deliver(appId, events);
+    return;
+  }
+
+  try {
+    for (const payload of toPayloads(appId, events)) {
+      await db.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+    }
+  } catch (err) {
+    console.error('Live publish error:', err);
+  }
+};
+
+const summarize = async (appId) => {
+  const now = Date.now();
+  const since = new Date(now - ACTIVE_MINUTES * 60 * 1000).toISOString();
+
+  const [totals, perMinute] = await Promise.all([
+    db.query(
+      `SELECT
+         COUNT(DISTINCT visitor_id) AS active_visitors,
+         COUNT(*) AS events,
+         COUNT(*) FILTER (WHERE timestamp >= $3) AS events_last_minute
+       FROM analytics_events
+       WHERE app_id = $1 AND timestamp >= $2 AND is_bot = false`,
+      [appId, since, new Date(now - 60 * 1000).toISOString()]
+    ),
+    db.query(
+      `SELECT date_trunc('minute', timestamp)::text AS minute, COUNT(*) AS events
+       FROM analytics_events
+       WHERE app_id = $1 AND timestamp >= $2 AND is_bot = false
+       GROUP BY 1
+       ORDER BY 1`,
+      [appId, since]
+    ),
+  ]);
+
+  const row = totals.rows[0];
+
+  return {
+    windowMinutes: ACTIVE_MINUTES,
+    activeVisitors: Number(row.active_visitors),
+    events: Number(row.events),
+    eventsLastMinute: Number(row.events_last_minute),
+    eventsPerMinute: perMinute.rows.map((minute) => ({
+      minute: `${minute.minute.replace(' ', 'T')}Z`,
+      events: Number(minute.events),
+    })),
+    generatedAt: new Date(now).toISOString(),
+  };
+};
+
+const publishSummaries = async () => {
+  for (const appId of subscribers.keys()) {
+    try {
+      hub.emit(`summary:${appId}`, await summarize(appId));
+    } catch (err) {
+      console.error('Live summary error:', err);
+    }
+  }
+};
+
+// Listen for events and summaries of one app; returns an unsubscribe function,
+// or null when the connection limit is reached
+const subscribe = (appId, { onEvents, onSummary }) => {
+  if (clientCount >= MAX_CLIENTS) {
+    return null;
+  }
+
+  clientCount++;
+  subscribers.set(appId, (subscribers.get(appId) || 0) + 1);
+  hub.on(`events:${appId}`, onEvents);
+  hub.on(`summary:${appId}`, onSummary);
+
+  if (!summaryTimer) {
+    summaryTimer = setInterval(publishSummaries, SUMMARY_INTERVAL_MS);
+    summaryTimer.unref();
+  }
+
+  return () => {
+    hub.off(`events:${appId}`, onEvents);
+    hub.off(`summary:${appId}`, onSummary);
+    clientCount--;
+
+    const remaining = subscribers.get(appId) - 1;
+    if (remaining > 0) {
+      subscribers.set(appId, remaining);
+    } else {
+      subscribers.delete(appId);
+    }
+
+    if (subscribers.size === 0) {
+      clearInterval(summaryTimer);
+      summaryTimer = null;
+    }
+  };
+};
+
+const scheduleReconnect = () => {
+  if (!stopped && !reconnectTimer) {
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      listen();
+    }, RECONNECT_MS);
+    reconnectTimer.unref();
+  }
+};
+
+// Hold one pooled connection open for LISTEN, reconnecting if it drops
+const listen = async () => {
+  let client;
+
+  try {
+    client = await db.pool.connect();
+
+    client.on('notification', (message) => {
+      try {
+        const { appId, events } = JSON.parse(message.payload);
+        deliver(appId, events);
+      } catch (err) {
+        console.error('Live notification error:', err);
+      }
+    });
+
+    client.on('error', (err) => {
+      console.error('Live listener error:', err);
+      if (listener === client) {
+        listener = null;
+        client.release(err);
+        scheduleReconnect();
+      }
+    });
+
+    await client.query(`LISTEN ${CHANNEL}`);
+    listener = client;
+  } catch (err) {
+    console.error('Live listener error:', err);
+    if (client) {
+      client.release(err);
+    }
+    scheduleReconnect();
+  }
+};
+
+const start = () => {
+  if (!stopped) {
+    return;
+  }
+  stopped = false;
+
+  if (LIVE_MODE === 'postgres') {
+    listen();
+  }
+};
+
+const stop = () => {
+  stopped = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  clearInterval(summaryTimer);
+  summaryTimer = null;
+
+  if (listener) {
+    const client = listener;
+    listener = null;
+    client.query(`UNLISTEN ${CHANNEL}`)
+      .catch(() => {})
+      .then(() => client.release());
+  }
+};
+
+module.exports = {
+  LIVE_MODE,
+  ACTIVE_MINUTES,
+  toLiveEvent,
+  publish,
+  summarize,
+  subscribe,
+  start,
+  stop,
+};
@@ -0,0 +1,170 @@
+// User-journey paths around an anchor page or event. Each visitor's events
+// are split into sessions (same inactivity timeout as jobs/sessions.js),
+// consecutive repeats of the same node are collapsed, and for every
+// occurrence of the anchor we look at the nodes before and after it.
+
+const { urlPatternToLike } = require('./funnels');
+
+const MAX_STEPS = 5;
+const ENTRANCE = '(entrance)';
+const EXIT = '(exit)';
+
+const buildPathQuery = ({
+  appId,
+  by,
+  anchor,
+  direction,
+  steps,
+  limit,
+  startDate,
+  endDate,
+  timeoutMinutes,
+}) => {
+  const params = [appId, `${timeoutMinutes} minutes`];
+  const filters = ['app_id = $1', 'visitor_id IS NOT NULL', 'is_bot = false'];
+  const node = by === 'event' ? 'event_name' : 'url';
+
+  if (by === 'url') {
+    filters.push("event_name = 'page_view'");
+  }
+
+  if (startDate) {
+    params.push(startDate);
+    filters.push(`timestamp >= $${params.length}`);
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    filters.push(`timestamp <= $${params.length}`);
+  }
+
+  const offsets = Array.from({ length: steps }, (_, i) => i + 1);
+  const lags = offsets.map((i) => `LAG(node, ${i}) OVER s AS p${i}`);
+  const leads = offsets.map((i) => `LEAD(node, ${i}) OVER s AS n${i}`);
+  const sequence = offsets.map((i) => (direction === 'previous' ? `p${i}` : `n${i}`));
+
+  params.push(by === 'url' ? urlPatternToLike(anchor) : anchor);
+  const anchorCondition = by === 'url'
+    ? `node LIKE $${params.length}`
+    : `node = $${params.length}`;
+
+  params.push(limit);
+  const limitParam = `$${params.length}`;
+
+  const text = `
+    WITH raw AS (
+      SELECT visitor_id, timestamp, ${node} AS node,
+        LAG(${node}) OVER v AS prev_node,
+        LAG(timestamp) OVER v AS prev_at
+      FROM analytics_events
+      WHERE ${filters.join(' AND ')}
+      WINDOW v AS (PARTITION BY visitor_id ORDER BY timestamp)
+    ),
+    marked AS (
+      SELECT visitor_id, timestamp, node,
+        CASE WHEN prev_at IS NULL OR timestamp - prev_at > $2::interval THEN 1 ELSE 0 END AS new_session,
+        CASE WHEN node = prev_node AND timestamp - prev_at <= $2::interval THEN 1 ELSE 0 END AS repeat
+      FROM raw
+    ),
+    sessioned AS (
+      SELECT visitor_id, timestamp, node,
+        SUM(new_session) OVER (PARTITION BY visitor_id ORDER BY timestamp) AS session_no
+      FROM marked
+      WHERE repeat = 0
+    ),
+    anchors AS (
+      SELECT * FROM (
+        SELECT node, ${[...lags, ...leads].join(', ')}
+        FROM sessioned
+        WINDOW s AS (PARTITION BY visitor_id, session_no ORDER BY timestamp)
+      ) seq
+      WHERE ${anchorCondition}
+    )
+    SELECT 'previous' AS kind, ARRAY[p1] AS path, COUNT(*) AS count FROM anchors GROUP BY p1
+    UNION ALL
+    SELECT 'next' AS kind, ARRAY[n1] AS path, COUNT(*) AS count FROM anchors GROUP BY n1
+    UNION ALL
+    (
+      SELECT 'sequence' AS kind, ARRAY[node, ${sequence.join(', ')}] AS path, COUNT(*) AS count
+      FROM anchors
+      GROUP BY node, ${sequence.join(', ')}
+      ORDER BY count DESC
+      LIMIT ${limitParam}
+    )`;
+
+  return { text, params };
+};
+
+// Sequences stop at the first missing node, which becomes an exit/entrance marker
+const trimPath = (path, direction) => {
+  const end = path.indexOf(null);
+  if (end === -1) {
+    return path;
+  }
+  return [...path.slice(0, end), direction === 'previous' ? ENTRANCE : EXIT];
+};
+
+const distribution = (rows, total, missing) => rows
+  .map((row) => ({
+    node: row.path[0] === null ? missing : row.path[0],
+    count: Number(row.count),
+    share: total > 0 ? Number(row.count) / total : 0,
+  }))
+  .sort((a, b) => b.count - a.count);
+
+// Shape query rows into distributions, top sequences and Sankey nodes/links.
+// Sankey node ids carry the step index so repeated pages do not form cycles.
+const formatPaths = (rows, direction) => {
+  const byKind = { previous: [], next: [], sequence: [] };
+  rows.forEach((row) => byKind[row.kind].push(row));
+
+  const total = byKind.next.reduce((sum, row) => sum + Number(row.count), 0);
+
+  const sequences = byKind.sequence
+    .map((row) => {
+      const path = trimPath(row.path, direction);
+      return {
+        path: direction === 'previous' ? [...path].reverse() : path,
+        count: Number(row.count),
+        share: total > 0 ? Number(row.count) / total : 0,
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  const nodes = new Map();
+  const links = new Map();
+
+  for (const sequence of sequences) {
+    sequence.path.forEach((name, step) => {
+      const id = `${step}:${name}`;
+      if (!nodes.has(id)) {
+        nodes.set(id, { id, name, step });
+      }
+
+      if (step > 0) {
+        const source = `${step - 1}:${sequence.path[step - 1]}`;
+        const key = `${source}->${id}`;
+        const link = links.get(key) || { source, target: id, value: 0 };
+        link.value += sequence.count;
+        links.set(key, link);
+      }
+    });
+  }
+
+  return {
+    total,
+    previous: distribution(byKind.previous, total, ENTRANCE),
+    next: distribution(byKind.next, total, EXIT),
+    sequences,
+    sankey: {
+      nodes: Array.from(nodes.values()),
+      links: Array.from(links.values()),
+    },
+  };
+};
+
+module.exports = {
+  MAX_STEPS,
+  buildPathQuery,
+  formatPaths,
+};
@@ -0,0 +1,105 @@
+// Cookieless visitor identity and IP anonymization.
+//
+// Every event gets a visitor_id = hash(salt + app + ip + user agent). Apps in
+// privacy mode use a salt that rotates daily and is deleted afterwards, so
+// visitors cannot be linked across days and raw IPs are never persisted.
+// Other apps use a stable salt so visitors can be followed across days.
+
+const crypto = require('crypto');
+const net = require('net');
+const db = require('../config/database');
+
+const PRIVACY_MODES = ['off', 'truncate', 'hash'];
+const STABLE_SALT = process.env.VISITOR_ID_SECRET || 'website-analytics-visitor';
+
+let cachedSalt = null;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Fetch (or create) the salt for the current UTC day, shared across instances
+const getDailySalt = async () => {
+  const day = today();
+
+  if (cachedSalt && cachedSalt.day === day) {
+    return cachedSalt.salt;
+  }
+
+  await db.query(
+    `INSERT INTO daily_salts (day, salt) VALUES ($1, $2)
+     ON CONFLICT (day) DO NOTHING`,
+    [day, crypto.randomBytes(32).toString('hex')]
+  );
+
+  const result = await db.query('SELECT salt FROM daily_salts WHERE day = $1', [day]);
+
+  // Yesterday's salt is kept so events around midnight still resolve
+  await db.query(`DELETE FROM daily_salts WHERE day < $1::date - 1`, [day]);
+
+  cachedSalt = { day, salt: result.rows[0].salt };
+  return cachedSalt.salt;
+};
+
+const hash = (...parts) => crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+
+// Zero the host part: last octet for IPv4, everything after /48 for IPv6
+const truncateIp = (ip) => {
+  if (net.isIPv4(ip)) {
+    return ip.replace(/\.\d+$/, '.0');
+  }
+
+  if (net.isIPv6(ip)) {
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return truncateIp(mapped[1]);
+    }
+
+    const [head] = ip.split('::');
+    const groups = head.split(':').slice(0, 3);
+    return `${groups.join(':')}::`;
+  }
+
+  return null;
+};
+
+// Build the identity fields stored with an event for the app's privacy mode
+const identify = async ({ appId, ip, userAgent, privacyMode = 'off' }) => {
+  const privacy = privacyMode !== 'off';
+  const salt = privacy ? await getDailySalt() : STABLE_SALT;
+  const visitorId = ip || userAgent
+    ? hash(salt, appId, ip || '', userAgent || '').slice(0, 32)
+    : null;
+
+  let ipAddress = ip || null;
+
+  if (ip && privacyMode === 'truncate') {
+    ipAddress = truncateIp(ip);
+  } else if (ip && privacyMode === 'hash') {
+    ipAddress = hash(salt, ip).slice(0, 32);
+  }
+
+  return { visitorId, ipAddress };
+};
+
+// Values an IP may be stored as for an app in `privacyMode`, to look up a data
+// subject: the raw IP (events from before privacy mode was enabled) and its
+// truncated or hashed form. Hashes only match under the salts still kept.
+const storedIpForms = async (ip, privacyMode = 'off') => {
+  const forms = [ip];
+
+  if (privacyMode === 'truncate' && truncateIp(ip)) {
+    forms.push(truncateIp(ip));
+  } else if (privacyMode === 'hash') {
+    const result = await db.query('SELECT salt FROM daily_salts');
+    forms.push(...result.rows.map((row) => hash(row.salt, ip).slice(0, 32)));
+  }
+
+  return forms;
+};
+
+module.exports = {
+  PRIVACY_MODES,
+  getDailySalt,
+  truncateIp,
+  identify,
+  storedIpForms,
+};
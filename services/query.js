@@ -0,0 +1,294 @@
+// Ad-hoc breakdown queries over analytics_events. A JSON spec picks metrics,
+// group-by dimensions, filters, a time range, ordering and a limit; every
+// part is checked against a whitelist and compiled into parameterized SQL.
+// Metadata keys (`metadata.<key>`) are always passed as parameters, never
+// spliced into the query text.
+
+const DIMENSIONS = {
+  event: 'event_name',
+  url: 'url',
+  referrer: 'referrer',
+  device: 'device',
+  browser: 'browser',
+  os: 'os',
+  country: 'country',
+  region: 'region',
+  city: 'city',
+  traffic_source: 'traffic_source',
+  traffic_medium: 'traffic_medium',
+  utm_source: 'utm_source',
+  utm_medium: 'utm_medium',
+  utm_campaign: 'utm_campaign',
+};
+
+const METRICS = ['count', 'unique_visitors', 'sum', 'avg'];
+const OPERATORS = ['eq', 'neq', 'in', 'contains', 'regex', 'gt', 'lt'];
+const METADATA_PREFIX = 'metadata.';
+const METADATA_KEY = /^[A-Za-z0-9_-]{1,64}$/;
+const NUMERIC = "'^-?[0-9]+(\\.[0-9]+)?$'";
+const MAX_GROUP_BY = 3;
+const MAX_FILTERS = 10;
+const MAX_IN_VALUES = 100;
+const MAX_REGEX_LENGTH = 200;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Check the bounds passed to dateFilter, returning an error message or null.
+// Postgres rejects unparseable timestamps, so they must not reach the query.
+const validateDateRange = ({ startDate, endDate }) => {
+  if (startDate && Number.isNaN(new Date(startDate).getTime())) {
+    return 'startDate must be a valid date';
+  }
+
+  if (endDate && Number.isNaN(new Date(endDate).getTime())) {
+    return 'endDate must be a valid date';
+  }
+
+  return null;
+};
+
+// ` AND column >= $n AND column <= $m` for whichever bounds are set
+const dateFilter = (column, { startDate, endDate }, params) => {
+  let sql = '';
+
+  if (startDate) {
+    params.push(startDate);
+    sql += ` AND ${column} >= $${params.length}`;
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    sql += ` AND ${column} <= $${params.length}`;
+  }
+
+  return sql;
+};
+
+const isMetadataField = (name) => typeof name === 'string'
+  && name.startsWith(METADATA_PREFIX)
+  && METADATA_KEY.test(name.slice(METADATA_PREFIX.length));
+
+const isDimension = (name) => Object.prototype.hasOwnProperty.call(DIMENSIONS, name)
+  || isMetadataField(name);
+
+const metricName = (metric) => (metric.field ? `${metric.fn}_${metric.field}` : metric.fn);
+
+// Normalize a metric to { fn, field? }; strings are shorthand for { fn }
+const normalizeMetric = (metric) => (typeof metric === 'string' ? { fn: metric } : metric);
+
+// Check a query spec, returning an error message or null
+const validateQuery = (spec) => {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return 'query spec must be an object';
+  }
+
+  const { metrics, groupBy = [], filters = [], orderBy, limit } = spec;
+
+  const dateError = validateDateRange(spec);
+  if (dateError) {
+    return dateError;
+  }
+
+  if (!Array.isArray(metrics) || metrics.length === 0) {
+    return 'metrics must be a non-empty array';
+  }
+
+  for (const [index, raw] of metrics.entries()) {
+    const metric = normalizeMetric(raw);
+
+    if (!metric || !METRICS.includes(metric.fn)) {
+      return `metrics[${index}] must be one of: ${METRICS.join(', ')}`;
+    }
+
+    const needsField = metric.fn === 'sum' || metric.fn === 'avg';
+    if (needsField && !METADATA_KEY.test(metric.field || '')) {
+      return `metrics[${index}].field must name a numeric metadata key`;
+    }
+
+    if (!needsField && metric.field !== undefined) {
+      return `metrics[${index}] does not take a field`;
+    }
+  }
+
+  if (!Array.isArray(groupBy) || groupBy.length > MAX_GROUP_BY) {
+    return `groupBy must be an array of at most ${MAX_GROUP_BY} dimensions`;
+  }
+
+  for (const [index, dimension] of groupBy.entries()) {
+    if (!isDimension(dimension)) {
+      return `groupBy[${index}] must be one of: ${Object.keys(DIMENSIONS).join(', ')} or metadata.<key>`;
+    }
+  }
+
+  if (!Array.isArray(filters) || filters.length > MAX_FILTERS) {
+    return `filters must be an array of at most ${MAX_FILTERS} filters`;
+  }
+
+  for (const [index, filter] of filters.entries()) {
+    if (!filter || !isDimension(filter.dimension)) {
+      return `filters[${index}].dimension must be one of: ${Object.keys(DIMENSIONS).join(', ')} or metadata.<key>`;
+    }
+
+    if (!OPERATORS.includes(filter.op)) {
+      return `filters[${index}].op must be one of: ${OPERATORS.join(', ')}`;
+    }
+
+    if (filter.op === 'in') {
+      if (!Array.isArray(filter.value) || filter.value.length === 0 || filter.value.length > MAX_IN_VALUES) {
+        return `filters[${index}].value must be an array of 1 to ${MAX_IN_VALUES} values`;
+      }
+    } else if (filter.op === 'gt' || filter.op === 'lt') {
+      if (!isMetadataField(filter.dimension)) {
+        return `filters[${index}].op ${filter.op} only applies to metadata.<key> dimensions`;
+      }
+      if (typeof filter.value !== 'number' || !Number.isFinite(filter.value)) {
+        return `filters[${index}].value must be a number`;
+      }
+    } else if (typeof filter.value !== 'string' && typeof filter.value !== 'number') {
+      return `filters[${index}].value must be a string or number`;
+    } else if (filter.op === 'regex') {
+      if (String(filter.value).length > MAX_REGEX_LENGTH) {
+        return `filters[${index}].value must be at most ${MAX_REGEX_LENGTH} characters`;
+      }
+    }
+  }
+
+  if (orderBy !== undefined) {
+    const names = metrics.map((metric) => metricName(normalizeMetric(metric))).concat(groupBy);
+
+    if (!orderBy || !names.includes(orderBy.field)) {
+      return 'orderBy.field must be one of the selected metrics or groupBy dimensions';
+    }
+
+    if (orderBy.direction !== undefined && !['asc', 'desc'].includes(orderBy.direction)) {
+      return 'orderBy.direction must be asc or desc';
+    }
+  }
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+    return `limit must be an integer between 1 and ${MAX_LIMIT}`;
+  }
+
+  return null;
+};
+
+// SQL expression for a dimension, appending metadata keys to params
+const dimensionExpression = (dimension, params) => {
+  if (isMetadataField(dimension)) {
+    params.push(dimension.slice(METADATA_PREFIX.length));
+    return `metadata->>$${params.length}::text`;
+  }
+  return DIMENSIONS[dimension];
+};
+
+// Metadata values that are not plain numbers count as NULL
+const numericExpression = (expression) => (
+  `CASE WHEN ${expression} ~ ${NUMERIC} THEN (${expression})::numeric END`
+);
+
+const metricExpression = (metric, params) => {
+  switch (metric.fn) {
+    case 'count':
+      return 'COUNT(*)';
+    case 'unique_visitors':
+      return 'COUNT(DISTINCT visitor_id)';
+    default:
+      return `${metric.fn.toUpperCase()}(${numericExpression(dimensionExpression(`${METADATA_PREFIX}${metric.field}`, params))})`;
+  }
+};
+
+const filterCondition = (filter, params) => {
+  const column = dimensionExpression(filter.dimension, params);
+
+  switch (filter.op) {
+    case 'eq':
+      params.push(String(filter.value));
+      return `${column} = $${params.length}`;
+    case 'neq':
+      params.push(String(filter.value));
+      return `${column} IS DISTINCT FROM $${params.length}`;
+    case 'in':
+      params.push(filter.value.map(String));
+      return `${column} = ANY($${params.length}::text[])`;
+    case 'contains':
+      params.push(String(filter.value).toLowerCase());
+      return `strpos(lower(${column}), $${params.length}) > 0`;
+    case 'regex':
+      params.push(String(filter.value));
+      return `${column} ~ $${params.length}`;
+    case 'gt':
+      params.push(filter.value);
+      return `${numericExpression(column)} > $${params.length}`;
+    default:
+      params.push(filter.value);
+      return `${numericExpression(column)} < $${params.length}`;
+  }
+};
+
+// Output column names are whitelisted dimension/metric names, safe to quote
+const quoteName = (name) => `"${name}"`;
+
+// Compile a validated spec into { text, params, columns }
+const compileQuery = (appId, spec, { includeBots = false } = {}) => {
+  const metrics = spec.metrics.map(normalizeMetric);
+  const groupBy = spec.groupBy || [];
+  const params = [appId];
+
+  const select = groupBy.map((dimension) => `${dimensionExpression(dimension, params)} AS ${quoteName(dimension)}`)
+    .concat(metrics.map((metric) => `${metricExpression(metric, params)} AS ${quoteName(metricName(metric))}`));
+
+  let where = 'app_id = $1';
+
+  if (!includeBots) {
+    where += ' AND is_bot = false';
+  }
+
+  where += dateFilter('timestamp', spec, params);
+
+  for (const filter of spec.filters || []) {
+    where += ` AND ${filterCondition(filter, params)}`;
+  }
+
+  let text = `SELECT ${select.join(', ')} FROM analytics_events WHERE ${where}`;
+
+  if (groupBy.length > 0) {
+    text += ` GROUP BY ${groupBy.map((dimension, index) => index + 1).join(', ')}`;
+  }
+
+  const order = spec.orderBy || { field: metricName(metrics[0]), direction: 'desc' };
+  text += ` ORDER BY ${quoteName(order.field)} ${order.direction === 'asc' ? 'ASC' : 'DESC'} NULLS LAST`;
+
+  params.push(spec.limit || DEFAULT_LIMIT);
+  text += ` LIMIT $${params.length}`;
+
+  return {
+    text,
+    params,
+    columns: groupBy.concat(metrics.map(metricName)),
+  };
+};
+
+// pg returns COUNT/SUM/AVG as strings; metrics come back as numbers
+const formatRows = (rows, spec) => {
+  const metricNames = spec.metrics.map((metric) => metricName(normalizeMetric(metric)));
+
+  return rows.map((row) => {
+    const formatted = { ...row };
+    for (const name of metricNames) {
+      formatted[name] = row[name] === null ? null : Number(row[name]);
+    }
+    return formatted;
+  });
+};
+
+module.exports = {
+  DIMENSIONS,
+  METRICS,
+  OPERATORS,
+  MAX_LIMIT,
+  validateDateRange,
+  dateFilter,
+  validateQuery,
+  compileQuery,
+  formatRows,
+};
@@ -0,0 +1,125 @@
+// Traffic source classification from the referrer and UTM parameters.
+// UTM tags on the landing URL win over the referrer. Referrers from the same
+// host as the page are internal navigation and are ignored (no source).
+
+const SEARCH_ENGINES = [
+  { source: 'google', pattern: /(^|\.)google\.[a-z.]+$/ },
+  { source: 'bing', pattern: /(^|\.)bing\.com$/ },
+  { source: 'yahoo', pattern: /(^|\.)search\.yahoo\.[a-z.]+$/ },
+  { source: 'duckduckgo', pattern: /(^|\.)duckduckgo\.com$/ },
+  { source: 'baidu', pattern: /(^|\.)baidu\.com$/ },
+  { source: 'yandex', pattern: /(^|\.)yandex\.[a-z.]+$/ },
+  { source: 'ecosia', pattern: /(^|\.)ecosia\.org$/ },
+  { source: 'brave', pattern: /(^|\.)search\.brave\.com$/ },
+];
+
+const SOCIAL_NETWORKS = [
+  { source: 'facebook', pattern: /(^|\.)(facebook\.com|fb\.me|l\.facebook\.com)$/ },
+  { source: 'twitter', pattern: /(^|\.)(twitter\.com|t\.co|x\.com)$/ },
+  { source: 'linkedin', pattern: /(^|\.)(linkedin\.com|lnkd\.in)$/ },
+  { source: 'reddit', pattern: /(^|\.)reddit\.com$/ },
+  { source: 'instagram', pattern: /(^|\.)instagram\.com$/ },
+  { source: 'youtube', pattern: /(^|\.)(youtube\.com|youtu\.be)$/ },
+  { source: 'pinterest', pattern: /(^|\.)pinterest\.[a-z.]+$/ },
+  { source: 'tiktok', pattern: /(^|\.)tiktok\.com$/ },
+  { source: 'hacker news', pattern: /(^|\.)news\.ycombinator\.com$/ },
+];
+
+const EMAIL_CLIENTS = [
+  { source: 'gmail', pattern: /^mail\.google\.com$/ },
+  { source: 'outlook', pattern: /^outlook\.(live|office)\.com$/ },
+  { source: 'yahoo mail', pattern: /^mail\.yahoo\.com$/ },
+];
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+const parseUrl = (value) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    return new URL(value);
+  } catch (err) {
+    return null;
+  }
+};
+
+const stripWww = (host) => host.replace(/^www\./, '');
+
+const matchHost = (rules, host) => rules.find((rule) => rule.pattern.test(host));
+
+// Classify a referrer relative to the page it led to
+const classifyReferrer = (referrer, pageUrl) => {
+  if (!referrer) {
+    return { source: '(direct)', medium: '(none)' };
+  }
+
+  const ref = parseUrl(referrer);
+  if (!ref) {
+    return { source: null, medium: null };
+  }
+
+  const host = stripWww(ref.hostname.toLowerCase());
+  const page = parseUrl(pageUrl);
+
+  if (page && stripWww(page.hostname.toLowerCase()) === host) {
+    return { source: null, medium: null };
+  }
+
+  const search = matchHost(SEARCH_ENGINES, host);
+  if (search) {
+    return { source: search.source, medium: 'organic' };
+  }
+
+  const social = matchHost(SOCIAL_NETWORKS, host);
+  if (social) {
+    return { source: social.source, medium: 'social' };
+  }
+
+  const email = matchHost(EMAIL_CLIENTS, host);
+  if (email) {
+    return { source: email.source, medium: 'email' };
+  }
+
+  return { source: host, medium: 'referral' };
+};
+
+// Read utm_* parameters from the landing URL
+const extractUtm = (pageUrl) => {
+  const page = parseUrl(pageUrl);
+  const utm = {};
+
+  UTM_PARAMS.forEach((param) => {
+    const value = page ? page.searchParams.get(param) : null;
+    utm[param] = value ? value.slice(0, 255) : null;
+  });
+
+  return utm;
+};
+
+// Full attribution fields stored with an event
+const parseTrafficSource = (pageUrl, referrer) => {
+  const utm = extractUtm(pageUrl);
+  const fromReferrer = classifyReferrer(referrer, pageUrl);
+
+  if (utm.utm_source) {
+    return {
+      ...utm,
+      trafficSource: utm.utm_source.toLowerCase(),
+      trafficMedium: (utm.utm_medium || '(not set)').toLowerCase(),
+    };
+  }
+
+  return {
+    ...utm,
+    trafficSource: fromReferrer.source,
+    trafficMedium: fromReferrer.medium,
+  };
+};
+
+module.exports = {
+  UTM_PARAMS,
+  classifyReferrer,
+  extractUtm,
+  parseTrafficSource,
+};
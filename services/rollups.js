@@ -0,0 +1,459 @@
+// Hourly and daily pre-aggregates of raw events.
+//
+// event_rollups holds one row per source table, granularity, bucket, app and
+// dimension combination (event, url, device, browser, country, is_bot) with
+// an event count. HyperLogLog sketches of distinct visitors are kept per
+// combination of every dimension but url (see SKETCH_KEY). Queries read
+// rollups for the whole buckets inside a range and raw events for the
+// partial buckets at its edges and for anything newer than the last rollup.
+
+const db = require('../config/database');
+const hll = require('./hll');
+
+// Raw tables that are rolled up, and how their columns map onto rollups
+const SOURCES = {
+  analytics_events: {
+    table: 'analytics_events',
+    time: 'timestamp',
+    event: 'event_name',
+    visitor: 'visitor_id',
+  },
+  events: {
+    table: 'events',
+    time: 'created_at',
+    event: 'event',
+    visitor: 'NULL',
+  },
+};
+
+const DIMENSIONS = ['event_name', 'url', 'device', 'browser', 'country'];
+// Most URLs are seen by few visitors, so a sketch per URL would make rollups
+// larger than the events. Each combination of these columns gets one sketch,
+// stored on one of its rows (the others hold NULL); sketches merge as a
+// union, so any query that neither groups nor filters by url is unaffected.
+const SKETCH_KEY = ['app_id', 'bucket', 'event_name', 'device', 'browser', 'country', 'is_bot'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const INSERT_CHUNK = 500;
+
+const floorTo = (date, unitMs) => new Date(Math.floor(date.getTime() / unitMs) * unitMs);
+const ceilTo = (date, unitMs) => new Date(Math.ceil(date.getTime() / unitMs) * unitMs);
+const minDate = (a, b) => (a && b ? (a < b ? a : b) : a || b);
+
+// TIMESTAMP columns hold UTC; read them as text so the process timezone is irrelevant
+const parseTimestamp = (text) => (text ? new Date(`${text.replace(' ', 'T')}Z`) : null);
+
+const rawDimension = (source, dimension) => (
+  dimension === 'event_name' ? source.event : dimension
+);
+
+// Build one sketch per SKETCH_KEY combination from the parts (visitor IDs or
+// sketches) of its rows and set it as `visitors` on the first of them
+const shareSketches = (rows, partsOf, build) => {
+  const carriers = new Map();
+
+  for (const row of rows) {
+    const key = JSON.stringify(SKETCH_KEY.map((column) => row[column]));
+    if (!carriers.has(key)) {
+      carriers.set(key, { row, parts: [] });
+    }
+
+    const { parts } = carriers.get(key);
+    for (const part of partsOf(row) || []) {
+      parts.push(part);
+    }
+  }
+
+  const sketches = new Map();
+  for (const { row, parts } of carriers.values()) {
+    sketches.set(row, parts.length > 0 ? build(parts) : null);
+  }
+
+  return rows.map((row) => ({ ...row, visitors: sketches.get(row) || null }));
+};
+
+// Write rollup rows for [from, to), replacing whatever was there
+const replaceRows = async (client, sourceName, granularity, from, to, appId, rows) => {
+  const params = [sourceName, granularity, from.toISOString(), to.toISOString()];
+  let appFilter = '';
+
+  if (appId) {
+    params.push(appId);
+    appFilter = ' AND app_id = $5';
+  }
+
+  await client.query(
+    `DELETE FROM event_rollups
+     WHERE source = $1 AND granularity = $2 AND bucket >= $3 AND bucket < $4${appFilter}`,
+    params
+  );
+
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    const chunk = rows.slice(i, i + INSERT_CHUNK);
+    const values = [];
+    const placeholders = chunk.map((row) => {
+      const start = values.length;
+      values.push(
+        sourceName,
+        granularity,
+        row.bucket,
+        row.app_id,
+        row.event_name,
+        row.url,
+        row.device,
+        row.browser,
+        row.country,
+        row.is_bot,
+        row.count,
+        row.visitors
+      );
+      return `(${Array.from({ length: 12 }, (_, j) => `$${start + j + 1}`).join(', ')})`;
+    });
+
+    await client.query(
+      `INSERT INTO event_rollups
+       (source, granularity, bucket, app_id, event_name, url, device, browser, country, is_bot, count, visitors)
+       VALUES ${placeholders.join(', ')}`,
+      values
+    );
+  }
+};
+
+const inTransaction = async (work) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Rebuild hourly rollups for [from, to) from raw events
+const rollupHours = async (sourceName, from, to, appId = null) => {
+  const source = SOURCES[sourceName];
+  const params = [from.toISOString(), to.toISOString()];
+  let appFilter = '';
+
+  if (appId) {
+    params.push(appId);
+    appFilter = ' AND app_id = $3';
+  }
+
+  const result = await db.query(
+    `SELECT
+       app_id,
+       date_trunc('hour', ${source.time})::text AS bucket,
+       ${source.event} AS event_name,
+       COALESCE(url, '') AS url,
+       COALESCE(device, '') AS device,
+       COALESCE(browser, '') AS browser,
+       COALESCE(country, '') AS country,
+       is_bot,
+       COUNT(*) AS count,
+       array_agg(DISTINCT ${source.visitor}) FILTER (WHERE ${source.visitor} IS NOT NULL) AS visitors
+     FROM ${source.table}
+     WHERE ${source.time} >= $1 AND ${source.time} < $2${appFilter}
+     GROUP BY 1, 2, 3, 4, 5, 6, 7, 8`,
+    params
+  );
+
+  const rows = shareSketches(result.rows, (row) => row.visitors, hll.fromValues);
+
+  await inTransaction((client) => replaceRows(client, sourceName, 'hour', from, to, appId, rows));
+  return rows.length;
+};
+
+// Rebuild daily rollups for [from, to) by merging hourly rollups
+const rollupDays = async (sourceName, from, to, appId = null) => {
+  const params = [sourceName, from.toISOString(), to.toISOString()];
+  let appFilter = '';
+
+  if (appId) {
+    params.push(appId);
+    appFilter = ' AND app_id = $4';
+  }
+
+  const result = await db.query(
+    `SELECT
+       app_id,
+       date_trunc('day', bucket)::text AS bucket,
+       event_name, url, device, browser, country, is_bot,
+       SUM(count) AS count,
+       array_agg(visitors) FILTER (WHERE visitors IS NOT NULL) AS sketches
+     FROM event_rollups
+     WHERE source = $1 AND granularity = 'hour' AND bucket >= $2 AND bucket < $3${appFilter}
+     GROUP BY 1, 2, 3, 4, 5, 6, 7, 8`,
+    params
+  );
+
+  const rows = shareSketches(result.rows, (row) => row.sketches, hll.merge);
+
+  await inTransaction((client) => replaceRows(client, sourceName, 'day', from, to, appId, rows));
+  return rows.length;
+};
+
+// Recompute the hours (and their days) touched by deleted events
+const rebuildHours = async (sourceName, appId, hours) => {
+  const days = new Set();
+
+  for (const hour of hours) {
+    const start = floorTo(hour, HOUR_MS);
+    await rollupHours(sourceName, start, new Date(start.getTime() + HOUR_MS), appId);
+    days.add(floorTo(start, DAY_MS).getTime());
+  }
+
+  for (const day of days) {
+    await rollupDays(sourceName, new Date(day), new Date(day + DAY_MS), appId);
+  }
+};
+
+// Queue hours of an app for jobs/rollups.js to rebuild
+const markDirtyHours = (client, sourceName, appId, hours) => client.query(
+  `INSERT INTO rollup_dirty_hours (source, app_id, hour)
+   SELECT $1, $2, unnest($3::timestamp[])
+   ON CONFLICT DO NOTHING`,
+  [sourceName, appId, hours.map((hour) => hour.toISOString())]
+);
+
+const getWatermarks = async (sourceName) => {
+  const result = await db.query(
+    'SELECT granularity, rolled_until::text AS rolled_until FROM rollup_state WHERE source = $1',
+    [sourceName]
+  );
+
+  const marks = { hour: null, day: null };
+  for (const row of result.rows) {
+    marks[row.granularity] = parseTimestamp(row.rolled_until);
+  }
+  return marks;
+};
+
+const setWatermark = (sourceName, granularity, until) => db.query(
+  `INSERT INTO rollup_state (source, granularity, rolled_until)
+   VALUES ($1, $2, $3)
+   ON CONFLICT (source, granularity) DO UPDATE SET rolled_until = EXCLUDED.rolled_until`,
+  [sourceName, granularity, until.toISOString()]
+);
+
+// Split [start, end] into rollup and raw segments. Whole days up to the daily
+// watermark come from daily rollups, whole hours up to the hourly watermark
+// from hourly rollups, and partial edges plus recent data from raw events.
+const planSegments = ({ start, end, marks, minGranularity }) => {
+  const segments = [];
+
+  if (!marks.hour || minGranularity === 'raw') {
+    return [{ kind: 'raw', from: start, to: end, inclusive: true }];
+  }
+
+  const interiorStart = start ? ceilTo(start, HOUR_MS) : null;
+  const interiorEnd = minDate(end ? floorTo(end, HOUR_MS) : null, marks.hour);
+
+  if (interiorStart && interiorEnd <= interiorStart) {
+    return [{ kind: 'raw', from: start, to: end, inclusive: true }];
+  }
+
+  if (start && start < interiorStart) {
+    segments.push({ kind: 'raw', from: start, to: interiorStart });
+  }
+
+  const useDays = minGranularity !== 'hour' && marks.day;
+  const dayStart = useDays && interiorStart ? ceilTo(interiorStart, DAY_MS) : interiorStart;
+  const dayEnd = useDays ? minDate(floorTo(interiorEnd, DAY_MS), marks.day) : null;
+
+  if (useDays && dayEnd && (!dayStart || dayEnd > dayStart)) {
+    if (interiorStart && interiorStart < dayStart) {
+      segments.push({ kind: 'hour', from: interiorStart, to: dayStart });
+    }
+    segments.push({ kind: 'day', from: dayStart, to: dayEnd });
+    if (dayEnd < interiorEnd) {
+      segments.push({ kind: 'hour', from: dayEnd, to: interiorEnd });
+    }
+  } else {
+    segments.push({ kind: 'hour', from: interiorStart, to: interiorEnd });
+  }
+
+  segments.push({ kind: 'raw', from: interiorEnd, to: end, inclusive: true });
+  return segments;
+};
+
+const querySegment = async (source, sourceName, segment, options) => {
+  const { appId, dimensions, filters, includeBots, interval, timezone } = options;
+  const isRaw = segment.kind === 'raw';
+  const timeColumn = isRaw ? source.time : 'bucket';
+  const params = [appId];
+  const where = ['app_id = $1'];
+
+  if (!isRaw) {
+    params.push(sourceName, segment.kind);
+    where.push(`source = $${params.length - 1}`, `granularity = $${params.length}`);
+  }
+
+  if (segment.from) {
+    params.push(segment.from.toISOString());
+    where.push(`${timeColumn} >= $${params.length}`);
+  }
+
+  if (segment.to) {
+    params.push(segment.to.toISOString());
+    where.push(`${timeColumn} ${segment.inclusive ? '<=' : '<'} $${params.length}`);
+  }
+
+  if (!includeBots) {
+    where.push('is_bot = false');
+  }
+
+  for (const [dimension, value] of Object.entries(filters)) {
+    params.push(value);
+    const column = isRaw ? rawDimension(source, dimension) : dimension;
+    where.push(`${column} = $${params.length}`);
+  }
+
+  const select = dimensions.map((dimension) => {
+    if (dimension === 'time_bucket') {
+      params.push(interval, timezone);
+      return `date_trunc($${params.length - 1}, ${timeColumn} AT TIME ZONE 'UTC' AT TIME ZONE $${params.length})::text AS time_bucket`;
+    }
+    const column = isRaw ? `COALESCE(${rawDimension(source, dimension)}, '')` : dimension;
+    return `${column} AS ${dimension}`;
+  });
+
+  const aggregates = isRaw
+    ? `COUNT(*) AS count,
+       array_agg(DISTINCT ${source.visitor}) FILTER (WHERE ${source.visitor} IS NOT NULL) AS visitors`
+    : `SUM(count) AS count,
+       array_agg(visitors) FILTER (WHERE visitors IS NOT NULL) AS sketches`;
+
+  const groupBy = dimensions.length > 0
+    ? `GROUP BY ${dimensions.map((_, i) => i + 1).join(', ')}`
+    : '';
+
+  const result = await db.query(
+    `SELECT ${[...select, aggregates].join(', ')}
+     FROM ${isRaw ? source.table : 'event_rollups'}
+     WHERE ${where.join(' AND ')}
+     ${groupBy}`,
+    params
+  );
+
+  return result.rows;
+};
+
+// UTC offset of a timezone at a given instant, in minutes
+const offsetMinutes = (timezone, date) => {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find((part) => part.type === 'timeZoneName').value;
+  const match = name.match(/([+-])(\d{2}):(\d{2})/);
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+};
+
+// Aggregate events by dimensions over a time range, combining rollups and raw
+// data. Returns rows of { ...dimensions, count, visitors } where visitors is
+// a HyperLogLog estimate (null for sources without visitor IDs). time_bucket
+// is cut in `timezone` and returned as local wall-clock text.
+const aggregate = async ({
+  source: sourceName = 'analytics_events',
+  appId,
+  startDate,
+  endDate,
+  dimensions = [],
+  filters = {},
+  includeBots = false,
+  interval = null,
+  timezone = 'UTC',
+}) => {
+  const source = SOURCES[sourceName];
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+  const marks = await getWatermarks(sourceName);
+
+  let minGranularity = 'day';
+  if (interval === 'hour') {
+    minGranularity = 'hour';
+  } else if (interval && !['day', 'week', 'month', 'quarter', 'year'].includes(interval)) {
+    minGranularity = 'raw';
+  }
+
+  // Daily rollups are cut at UTC midnight; other zones can only reuse hourly
+  // rollups, and only when their offset is a whole number of hours
+  if (interval && timezone !== 'UTC' && minGranularity !== 'raw') {
+    const edges = [start || new Date(0), end || new Date()];
+    minGranularity = edges.every((date) => offsetMinutes(timezone, date) % 60 === 0) ? 'hour' : 'raw';
+  }
+
+  // Rollup sketches are not split by url, so visitors per URL need raw events
+  if (source.visitor !== 'NULL' && (dimensions.includes('url') || 'url' in filters)) {
+    minGranularity = 'raw';
+  }
+
+  const segments = planSegments({ start, end, marks, minGranularity });
+  const groups = new Map();
+
+  for (const segment of segments) {
+    const rows = await querySegment(source, sourceName, segment, {
+      appId,
+      dimensions,
+      filters,
+      includeBots,
+      interval,
+      timezone,
+    });
+
+    for (const row of rows) {
+      const key = JSON.stringify(dimensions.map((dimension) => row[dimension]));
+      let group = groups.get(key);
+
+      if (!group) {
+        group = { row: {}, count: 0, sketches: [] };
+        dimensions.forEach((dimension) => {
+          group.row[dimension] = row[dimension] === '' ? null : row[dimension];
+        });
+        groups.set(key, group);
+      }
+
+      group.count += Number(row.count);
+      if (row.sketches) {
+        group.sketches.push(...row.sketches);
+      }
+      if (row.visitors) {
+        group.sketches.push(hll.fromValues(row.visitors));
+      }
+    }
+  }
+
+  const hasVisitors = source.visitor !== 'NULL';
+
+  return Array.from(groups.values()).map((group) => {
+    const sketch = hasVisitors ? hll.merge(group.sketches) : null;
+    return {
+      ...group.row,
+      count: group.count,
+      visitors: sketch ? hll.estimate(sketch) : null,
+      sketch,
+    };
+  });
+};
+
+module.exports = {
+  SOURCES,
+  DIMENSIONS,
+  HOUR_MS,
+  DAY_MS,
+  floorTo,
+  parseTimestamp,
+  rollupHours,
+  rollupDays,
+  rebuildHours,
+  markDirtyHours,
+  getWatermarks,
+  setWatermark,
+  planSegments,
+  aggregate,
+};
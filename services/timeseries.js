@@ -0,0 +1,160 @@
+// Gap-filled time series. Buckets are cut in the requested timezone and
+// generated with generate_series, so every bucket in the range appears (with
+// zero counts when empty), oldest first. The bucket list is paginated and
+// only the current page's span is aggregated.
+
+const db = require('../config/database');
+const rollups = require('./rollups');
+
+// Approximate bucket widths, only used to bound the number of buckets
+const INTERVALS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 31 * 24 * 60 * 60 * 1000,
+};
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_BUCKETS = 100000;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Check time-series options, returning an error message or null
+const validateSeries = ({ interval, timezone, limit, offset, start, end }) => {
+  if (!Object.prototype.hasOwnProperty.call(INTERVALS, interval)) {
+    return `interval must be one of: ${Object.keys(INTERVALS).join(', ')}`;
+  }
+
+  if (!isValidTimezone(timezone)) {
+    return 'timezone must be an IANA timezone name such as Europe/Berlin';
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return `limit must be an integer between 1 and ${MAX_LIMIT}`;
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return 'offset must be a non-negative integer';
+  }
+
+  if ((start && Number.isNaN(start.getTime())) || (end && Number.isNaN(end.getTime()))) {
+    return 'startDate and endDate must be valid dates';
+  }
+
+  if (start && end && (end - start) / INTERVALS[interval] > MAX_BUCKETS) {
+    return `range spans more than ${MAX_BUCKETS} ${interval} buckets; narrow it or use a larger interval`;
+  }
+
+  return null;
+};
+
+// { start, end } Dates; without startDate the series starts at the app's
+// first event (start is null when the app has none)
+const resolveRange = async (appId, { startDate, endDate }) => {
+  const end = endDate ? new Date(endDate) : new Date();
+
+  if (startDate) {
+    return { start: new Date(startDate), end };
+  }
+
+  const result = await db.query(
+    'SELECT MIN(timestamp)::text AS earliest FROM analytics_events WHERE app_id = $1',
+    [appId]
+  );
+  return { start: rollups.parseTimestamp(result.rows[0].earliest), end };
+};
+
+// One page of buckets: local wall-clock label plus the UTC instants it spans
+const bucketPage = async ({ interval, timezone, start, end, limit, offset }) => {
+  const result = await db.query(
+    `SELECT
+       b::text AS local_bucket,
+       ((b AT TIME ZONE $2) AT TIME ZONE 'UTC')::text AS starts_at,
+       (((b + ('1 ' || $1)::interval) AT TIME ZONE $2) AT TIME ZONE 'UTC')::text AS ends_at,
+       COUNT(*) OVER () AS total
+     FROM generate_series(
+       date_trunc($1, $3::timestamptz AT TIME ZONE $2),
+       date_trunc($1, $4::timestamptz AT TIME ZONE $2),
+       ('1 ' || $1)::interval
+     ) AS b
+     ORDER BY b
+     LIMIT $5 OFFSET $6`,
+    [interval, timezone, start.toISOString(), end.toISOString(), limit, offset]
+  );
+
+  return result.rows;
+};
+
+// Zero-filled series for one event over a resolved range. Returns
+// { buckets, total } where total is the bucket count across all pages.
+const buildSeries = async ({
+  appId,
+  event,
+  start,
+  end,
+  interval,
+  timezone,
+  includeBots,
+  limit,
+  offset,
+}) => {
+  if (!start || start > end) {
+    return { buckets: [], total: 0 };
+  }
+
+  const page = await bucketPage({ interval, timezone, start, end, limit, offset });
+
+  if (page.length === 0) {
+    // Past the last page; still report how many buckets there are
+    const first = offset > 0 ? await bucketPage({ interval, timezone, start, end, limit: 1, offset: 0 }) : [];
+    return { buckets: [], total: first.length > 0 ? Number(first[0].total) : 0 };
+  }
+
+  // Aggregate only the span covered by this page, clipped to the range
+  const pageStart = rollups.parseTimestamp(page[0].starts_at);
+  const pageEnd = new Date(rollups.parseTimestamp(page[page.length - 1].ends_at).getTime() - 1);
+
+  const rows = await rollups.aggregate({
+    appId,
+    startDate: (pageStart > start ? pageStart : start).toISOString(),
+    endDate: (pageEnd < end ? pageEnd : end).toISOString(),
+    dimensions: ['time_bucket'],
+    filters: { event_name: event },
+    includeBots,
+    interval,
+    timezone,
+  });
+
+  const counts = new Map(rows.map((row) => [row.time_bucket, row]));
+
+  return {
+    total: Number(page[0].total),
+    buckets: page.map((bucket) => {
+      const row = counts.get(bucket.local_bucket);
+      return {
+        time_bucket: rollups.parseTimestamp(bucket.starts_at),
+        local_time: bucket.local_bucket.replace(' ', 'T'),
+        count: row ? row.count : 0,
+        unique_users: row ? row.visitors : 0,
+      };
+    }),
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  validateSeries,
+  resolveRange,
+  buildSeries,
+};
@@ -0,0 +1,361 @@
+// Request rate limits and monthly event quotas.
+//
+// Rate limits are fixed windows counted per credential (API key, or signed-in
+// user) and per app, in two buckets: 'ingest' for collect routes and 'query'
+// for everything else. Counters live in a store; RATE_LIMIT_STORE=postgres
+// shares them between API instances, the default keeps them in memory. Any
+// object with the same increment/peek methods can be passed to setStore.
+//
+// Monthly usage (accepted events and queries per app) is always kept in
+// PostgreSQL. Increments are buffered here and flushed every few seconds, so
+// instances may overshoot a quota by a few seconds' worth of traffic.
+
+const db = require('../config/database');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const WINDOW_MS = envInt('RATE_LIMIT_WINDOW_MS', 60 * 1000);
+const LIMITS = {
+  ingest: {
+    perKey: envInt('RATE_LIMIT_INGEST_PER_KEY', 1200),
+    perApp: envInt('RATE_LIMIT_INGEST_PER_APP', 6000),
+  },
+  query: {
+    perKey: envInt('RATE_LIMIT_QUERY_PER_KEY', 60),
+    perApp: envInt('RATE_LIMIT_QUERY_PER_APP', 300),
+  },
+};
+// 0 means unlimited; apps.monthly_event_quota overrides it per app
+const MONTHLY_EVENT_QUOTA = envInt('MONTHLY_EVENT_QUOTA', 0);
+const FLUSH_INTERVAL_MS = envInt('USAGE_FLUSH_INTERVAL_MS', 5000);
+const QUOTA_CACHE_MS = 10 * 1000;
+const COUNTER_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const windowStart = (windowMs, now = Date.now()) => Math.floor(now / windowMs) * windowMs;
+
+// Single-process counters
+const memoryStore = () => {
+  const counters = new Map();
+
+  const sweep = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const start = windowStart(windowMs, now);
+      let counter = counters.get(key);
+
+      if (!counter || counter.start !== start) {
+        if (counters.size > 10000) {
+          sweep(now);
+        }
+        counter = { start, hits: 0, resetAt: start + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.hits++;
+      return { hits: counter.hits, resetAt: new Date(counter.resetAt) };
+    },
+
+    async peek(key, windowMs) {
+      const start = windowStart(windowMs);
+      const counter = counters.get(key);
+      return { hits: counter && counter.start === start ? counter.hits : 0, resetAt: new Date(start + windowMs) };
+    },
+
+    async prune() {
+      sweep(Date.now());
+    },
+  };
+};
+
+// Counters shared by every instance using the same database
+const postgresStore = () => ({
+  async increment(key, windowMs) {
+    const start = windowStart(windowMs);
+
+    const result = await db.query(
+      `INSERT INTO rate_limit_counters (counter_key, window_start, hits)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (counter_key, window_start) DO UPDATE SET hits = rate_limit_counters.hits + 1
+       RETURNING hits`,
+      [key, new Date(start).toISOString()]
+    );
+
+    return { hits: result.rows[0].hits, resetAt: new Date(start + windowMs) };
+  },
+
+  async peek(key, windowMs) {
+    const start = windowStart(windowMs);
+
+    const result = await db.query(
+      'SELECT hits FROM rate_limit_counters WHERE counter_key = $1 AND window_start = $2',
+      [key, new Date(start).toISOString()]
+    );
+
+    return { hits: result.rows.length > 0 ? result.rows[0].hits : 0, resetAt: new Date(start + windowMs) };
+  },
+
+  async prune() {
+    await db.query(
+      'DELETE FROM rate_limit_counters WHERE window_start < $1',
+      [new Date(Date.now() - COUNTER_RETENTION_MS).toISOString()]
+    );
+  },
+});
+
+let store = process.env.RATE_LIMIT_STORE === 'postgres' ? postgresStore() : memoryStore();
+
+const setStore = (custom) => {
+  store = custom;
+};
+
+// Counter keys for the credential and the app behind a request
+const counterKeys = (bucket, { appId, apiKeyId, userId }) => {
+  let credential = `app:${appId}`;
+  if (apiKeyId) {
+    credential = `key:${apiKeyId}`;
+  } else if (userId) {
+    credential = `user:${userId}:${appId}`;
+  }
+
+  return {
+    perKey: `${bucket}:${credential}`,
+    perApp: `${bucket}:app:${appId}`,
+  };
+};
+
+// Count one request. Resolves to the tighter of the two limits as
+// { limit, remaining, resetAt, exceeded }; a limit of 0 disables that check.
+// A key over its own limit is not counted against its app, so one noisy key
+// cannot use up the app's share.
+const hit = async (bucket, identity) => {
+  const keys = counterKeys(bucket, identity);
+  let tightest = null;
+
+  for (const scope of ['perKey', 'perApp']) {
+    const limit = LIMITS[bucket][scope];
+
+    if (limit > 0) {
+      const { hits, resetAt } = await store.increment(keys[scope], WINDOW_MS);
+      const state = { limit, remaining: Math.max(0, limit - hits), resetAt, exceeded: hits > limit };
+
+      if (state.exceeded) {
+        return state;
+      }
+
+      if (!tightest || state.remaining < tightest.remaining) {
+        tightest = state;
+      }
+    }
+  }
+
+  return tightest;
+};
+
+// Current window for the usage report, without counting a request
+const windowUsage = async (bucket, identity) => {
+  const keys = counterKeys(bucket, identity);
+  const usage = { windowMs: WINDOW_MS };
+  let windowEnd;
+
+  for (const scope of ['perKey', 'perApp']) {
+    const { hits, resetAt } = await store.peek(keys[scope], WINDOW_MS);
+    usage[scope] = { limit: LIMITS[bucket][scope], used: hits };
+    windowEnd = resetAt;
+  }
+
+  return { ...usage, resetAt: windowEnd };
+};
+
+// Monthly usage
+
+const pending = new Map();
+const quotaCache = new Map();
+let flushTimer = null;
+let flushing = null;
+
+// First day of the UTC month, as the usage_counters period
+const currentPeriod = (now = new Date()) => (
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString().slice(0, 10)
+);
+
+const periodEnd = (period) => {
+  const start = new Date(`${period}T00:00:00Z`);
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+};
+
+const addPending = (appId, period, events, queries) => {
+  const key = `${appId}:${period}`;
+  const entry = pending.get(key) || { appId, period, events: 0, queries: 0 };
+  entry.events += events;
+  entry.queries += queries;
+  pending.set(key, entry);
+};
+
+const recordEvents = (appId, count) => {
+  if (count > 0) {
+    addPending(appId, currentPeriod(), count, 0);
+  }
+};
+
+const recordQuery = (appId) => addPending(appId, currentPeriod(), 0, 1);
+
+const flush = async () => {
+  if (flushing) {
+    return flushing;
+  }
+
+  const entries = [...pending.values()];
+  pending.clear();
+
+  flushing = (async () => {
+    for (const entry of entries) {
+      try {
+        await db.query(
+          `INSERT INTO usage_counters (app_id, period, events, queries)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (app_id, period) DO UPDATE
+           SET events = usage_counters.events + EXCLUDED.events,
+               queries = usage_counters.queries + EXCLUDED.queries`,
+          [entry.appId, entry.period, entry.events, entry.queries]
+        );
+
+        // The cached totals no longer see these counts as pending
+        const cached = quotaCache.get(entry.appId);
+        if (cached && cached.period === entry.period) {
+          cached.events += entry.events;
+          cached.queries += entry.queries;
+        }
+      } catch (err) {
+        console.error('Usage flush error:', err);
+        // Keep the counts for the next flush
+        addPending(entry.appId, entry.period, entry.events, entry.queries);
+      }
+    }
+  })();
+
+  try {
+    await flushing;
+  } finally {
+    flushing = null;
+  }
+};
+
+// { period, events, queries, quota } for an app, including unflushed counts.
+// quota is null when the app has no monthly event quota.
+const monthlyUsage = async (appId, { fresh = false } = {}) => {
+  const period = currentPeriod();
+  const cached = quotaCache.get(appId);
+  let stored = cached && cached.period === period && cached.expires > Date.now() && !fresh ? cached : null;
+
+  if (!stored) {
+    const result = await db.query(
+      `SELECT a.monthly_event_quota, COALESCE(u.events, 0) AS events, COALESCE(u.queries, 0) AS queries
+       FROM apps a
+       LEFT JOIN usage_counters u ON u.app_id = a.app_id AND u.period = $2
+       WHERE a.app_id = $1`,
+      [appId, period]
+    );
+
+    const row = result.rows[0] || {};
+    const quota = row.monthly_event_quota === null || row.monthly_event_quota === undefined
+      ? MONTHLY_EVENT_QUOTA
+      : row.monthly_event_quota;
+
+    stored = {
+      period,
+      events: Number(row.events || 0),
+      queries: Number(row.queries || 0),
+      quota: quota > 0 ? quota : null,
+      expires: Date.now() + QUOTA_CACHE_MS,
+    };
+    quotaCache.set(appId, stored);
+  }
+
+  const unflushed = pending.get(`${appId}:${period}`) || { events: 0, queries: 0 };
+
+  return {
+    period,
+    resetAt: periodEnd(period),
+    events: stored.events + unflushed.events,
+    queries: stored.queries + unflushed.queries,
+    quota: stored.quota,
+  };
+};
+
+// Past months, newest first
+const history = async (appId, months) => {
+  const result = await db.query(
+    `SELECT period::text AS period, events, queries
+     FROM usage_counters
+     WHERE app_id = $1
+     ORDER BY period DESC
+     LIMIT $2`,
+    [appId, months]
+  );
+
+  return result.rows.map((row) => ({
+    period: row.period,
+    events: Number(row.events),
+    queries: Number(row.queries),
+  }));
+};
+
+let pruneCountdown = 0;
+
+const tick = async () => {
+  await flush();
+
+  // Drop stale rate limit windows about once an hour
+  if (--pruneCountdown <= 0) {
+    pruneCountdown = Math.ceil((60 * 60 * 1000) / FLUSH_INTERVAL_MS);
+    try {
+      await store.prune();
+    } catch (err) {
+      console.error('Rate limit prune error:', err);
+    }
+  }
+};
+
+const start = () => {
+  if (!flushTimer) {
+    flushTimer = setInterval(tick, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+};
+
+// Stop the timer and write out buffered counts
+const stop = async () => {
+  clearInterval(flushTimer);
+  flushTimer = null;
+  if (flushing) {
+    await flushing;
+  }
+  await flush();
+};
+
+module.exports = {
+  WINDOW_MS,
+  LIMITS,
+  memoryStore,
+  postgresStore,
+  setStore,
+  hit,
+  windowUsage,
+  recordEvents,
+  recordQuery,
+  monthlyUsage,
+  history,
+  start,
+  stop,
+};
@@ -0,0 +1,96 @@
+// Normalized user-agent parsing backed by a local rules table.
+// Rules are checked in order; the first match wins, so more specific
+// families (Edge, Opera, Samsung Internet) must come before the engines
+// they are built on (Chrome, Safari).
+
+const { isBotUserAgent } = require('./bots');
+
+const BROWSER_RULES = [
+  { family: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { family: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { family: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { family: 'Yandex', pattern: /YaBrowser\/([\d.]+)/ },
+  { family: 'UC Browser', pattern: /UCBrowser\/([\d.]+)/ },
+  { family: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { family: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { family: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ },
+  { family: 'Safari', pattern: /Version\/([\d.]+).*Safari\// },
+];
+
+const OS_RULES = [
+  { family: 'Windows Phone', pattern: /Windows Phone(?: OS)? ([\d.]+)/ },
+  { family: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+  { family: 'iOS', pattern: /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/ },
+  { family: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+  { family: 'Android', pattern: /Android ([\d.]+)/ },
+  { family: 'Chrome OS', pattern: /CrOS \S+ ([\d.]+)/ },
+  { family: 'Linux', pattern: /Linux/ },
+];
+
+// Windows NT kernel versions reported in the UA map to marketing names
+const WINDOWS_VERSIONS = {
+  '10.0': '10',
+  '6.3': '8.1',
+  '6.2': '8',
+  '6.1': '7',
+  '6.0': 'Vista',
+  '5.1': 'XP',
+};
+
+const TABLET_PATTERN = /iPad|Tablet|PlayBook|Silk|Kindle|(Android(?!.*Mobile))/i;
+const MOBILE_PATTERN = /Mobi|iPhone|iPod|Android|BlackBerry|IEMobile|Windows Phone|Opera Mini/i;
+
+const matchRule = (rules, ua) => {
+  for (const rule of rules) {
+    const match = ua.match(rule.pattern);
+    if (match) {
+      return { family: rule.family, version: match[1] ? match[1].replace(/_/g, '.') : null };
+    }
+  }
+  return { family: 'Other', version: null };
+};
+
+const detectDevice = (ua) => {
+  if (isBotUserAgent(ua)) {
+    return 'bot';
+  }
+  if (TABLET_PATTERN.test(ua)) {
+    return 'tablet';
+  }
+  if (MOBILE_PATTERN.test(ua)) {
+    return 'mobile';
+  }
+  return 'desktop';
+};
+
+// Parse a raw User-Agent string into browser, OS and device class
+const parseUserAgent = (ua) => {
+  if (!ua || typeof ua !== 'string') {
+    return {
+      browser: null,
+      browserVersion: null,
+      os: null,
+      osVersion: null,
+      device: null,
+    };
+  }
+
+  const browser = matchRule(BROWSER_RULES, ua);
+  const os = matchRule(OS_RULES, ua);
+
+  if (os.family === 'Windows' && os.version) {
+    os.version = WINDOWS_VERSIONS[os.version] || os.version;
+  }
+
+  return {
+    browser: browser.family,
+    browserVersion: browser.version,
+    os: os.family,
+    osVersion: os.version,
+    device: detectDevice(ua),
+  };
+};
+
+module.exports = {
+  parseUserAgent,
+};
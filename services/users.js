@@ -0,0 +1,224 @@
+// User accounts: scrypt password hashes, HS256 JWT access tokens and opaque
+// refresh tokens. Refresh tokens are stored hashed and rotated on every use;
+// presenting one that was already rotated revokes all of the user's tokens,
+// since it means the token leaked.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('../config/database');
+const { parseTimestamp } = require('./rollups');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const MIN_PASSWORD_LENGTH = 10;
+
+// A random secret would log everyone out on restart and differ between
+// instances, so production refuses to start without one
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set when NODE_ENV is production');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; access tokens will not survive a restart');
+}
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Check signup credentials, returning an error message or null
+const validateCredentials = ({ email, password }) => {
+  if (!email || typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    return 'a valid email is required';
+  }
+
+  if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+// "scrypt$N$r$p$salt$hash", so parameters can be raised without breaking old hashes
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('hex'), key.toString('hex')].join('$');
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, expected] = stored.split('$');
+
+  if (scheme !== 'scrypt') {
+    return false;
+  }
+
+  const expectedKey = Buffer.from(expected, 'hex');
+  const key = await scrypt(password, Buffer.from(salt, 'hex'), expectedKey.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+
+  return crypto.timingSafeEqual(key, expectedKey);
+};
+
+// Compared against when the email is unknown, so login timing does not reveal accounts
+let dummyHash = null;
+const getDummyHash = async () => {
+  dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+};
+
+const signAccessToken = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: String(user.user_id),
+    email: user.email,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SECONDS,
+  }));
+  const signature = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+
+  return `${header}.${payload}.${signature}`;
+};
+
+// Decoded claims of a valid, unexpired access token, or null
+const verifyAccessToken = (token) => {
+  const parts = String(token).split('.');
+
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest();
+  const given = Buffer.from(signature, 'base64url');
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    if (alg !== 'HS256' || !claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return claims;
+  } catch (err) {
+    return null;
+  }
+};
+
+const issueRefreshToken = async (client, userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const result = await client.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, $3)
+     RETURNING token_id`,
+    [userId, hash(token), new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()]
+  );
+
+  return { token, tokenId: result.rows[0].token_id };
+};
+
+// Access and refresh token pair for a user
+const issueTokens = async (user) => {
+  const refresh = await issueRefreshToken(db, user.user_id);
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: refresh.token,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+};
+
+// Exchange a refresh token for a new pair; null when it is invalid, expired or reused
+const rotateRefreshToken = async (token) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT t.token_id, t.user_id, t.revoked_at, t.expires_at::text AS expires_at, u.email
+       FROM refresh_tokens t
+       JOIN users u ON u.user_id = t.user_id
+       WHERE t.token_hash = $1
+       FOR UPDATE OF t`,
+      [hash(String(token))]
+    );
+
+    const stored = result.rows[0];
+
+    if (!stored) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (stored.revoked_at) {
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = $1 WHERE user_id = $2 AND revoked_at IS NULL',
+        [new Date().toISOString(), stored.user_id]
+      );
+      await client.query('COMMIT');
+      return null;
+    }
+
+    if (parseTimestamp(stored.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const user = { user_id: stored.user_id, email: stored.email };
+    const next = await issueRefreshToken(client, user.user_id);
+
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = $1, replaced_by = $2 WHERE token_id = $3',
+      [new Date().toISOString(), next.tokenId, stored.token_id]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      accessToken: signAccessToken(user),
+      refreshToken: next.token,
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const revokeRefreshToken = (token) => db.query(
+  'UPDATE refresh_tokens SET revoked_at = $1 WHERE token_hash = $2 AND revoked_at IS NULL',
+  [new Date().toISOString(), hash(String(token))]
+);
+
+module.exports = {
+  normalizeEmail,
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  getDummyHash,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+};
@@ -0,0 +1,263 @@
+// Outbound webhooks. Accepted events and alert firings are queued as rows in
+// webhook_deliveries and sent by jobs/webhooks.js. Each request body is
+// signed with the webhook's secret: X-Webhook-Signature is
+// "sha256=" + HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`).
+// Failed deliveries are retried with exponential backoff until
+// WEBHOOK_MAX_ATTEMPTS, then kept as dead letters.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const db = require('../config/database');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const CACHE_TTL_MS = 30 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+// Subscriptions per app, so ingestion does not query webhooks on every event
+const cache = new Map();
+
+const createSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const sign = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Addresses webhooks may not reach: unspecified, loopback, private, shared
+// (carrier-grade NAT), link-local (cloud metadata), multicast and reserved
+// ranges. IPv4-mapped and IPv4-compatible IPv6 addresses match the IPv4 ranges.
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blocked = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_SUBNETS) {
+  blocked.addSubnet(address, prefix, family);
+}
+
+const isPrivateAddress = (address) => blocked.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Private literals and localhost names; other hostnames are checked when
+// they are resolved for delivery
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+};
+
+// dns.lookup for deliveries: resolves every address of the host and fails if
+// any is private, so the connection only ever goes to an address checked here
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const refused = ALLOW_PRIVATE ? null : addresses.find(({ address }) => isPrivateAddress(address));
+    if (refused) {
+      return callback(new Error(`${hostname} resolves to a private address (${refused.address})`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// POST without following redirects; resolves to the response status code
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  const req = transport.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: checkedLookup,
+  }, (res) => {
+    clearTimeout(timer);
+    res.resume();
+    resolve(res.statusCode);
+  });
+
+  const timer = setTimeout(() => req.destroy(new Error('Request timed out')), TIMEOUT_MS);
+
+  req.on('error', (err) => {
+    clearTimeout(timer);
+    reject(err);
+  });
+  req.end(body);
+});
+
+// Check a webhook definition, returning an error message or null
+const validateWebhook = ({ url, sendEvents, sendAlerts, eventNames }) => {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return 'url must be a valid URL';
+  }
+
+  if (!['https:', 'http:'].includes(parsed.protocol)) {
+    return 'url must use http or https';
+  }
+
+  if (!ALLOW_PRIVATE && isPrivateHost(parsed.hostname)) {
+    return 'url must not point to a private or loopback address';
+  }
+
+  if (sendEvents !== undefined && typeof sendEvents !== 'boolean') {
+    return 'sendEvents must be a boolean';
+  }
+
+  if (sendAlerts !== undefined && typeof sendAlerts !== 'boolean') {
+    return 'sendAlerts must be a boolean';
+  }
+
+  if (!sendEvents && sendAlerts === false) {
+    return 'a webhook must send events, alerts or both';
+  }
+
+  if (eventNames !== undefined && eventNames !== null
+    && (!Array.isArray(eventNames) || eventNames.some((name) => typeof name !== 'string' || !name))) {
+    return 'eventNames must be an array of event names';
+  }
+
+  return null;
+};
+
+const invalidate = (appId) => {
+  cache.delete(appId);
+};
+
+const subscriptions = async (appId) => {
+  const cached = cache.get(appId);
+
+  if (cached && cached.expires > Date.now()) {
+    return cached.webhooks;
+  }
+
+  const result = await db.query(
+    `SELECT webhook_id, send_events, event_names, send_alerts
+     FROM webhooks
+     WHERE app_id = $1 AND is_active = true`,
+    [appId]
+  );
+
+  cache.set(appId, { webhooks: result.rows, expires: Date.now() + CACHE_TTL_MS });
+  return result.rows;
+};
+
+const insertDelivery = (client, webhookId, appId, kind, payload) => client.query(
+  `INSERT INTO webhook_deliveries (webhook_id, app_id, kind, payload)
+   VALUES ($1, $2, $3, $4)`,
+  [webhookId, appId, kind, JSON.stringify(payload)]
+);
+
+// Queue accepted events (live feed shape) for webhooks that forward events.
+// Never throws: webhooks must not fail ingestion.
+const queueEvents = async (appId, events) => {
+  try {
+    const webhooks = (await subscriptions(appId)).filter((webhook) => webhook.send_events);
+
+    for (const webhook of webhooks) {
+      const matching = webhook.event_names
+        ? events.filter((event) => webhook.event_names.includes(event.event))
+        : events;
+
+      if (matching.length > 0) {
+        await insertDelivery(db, webhook.webhook_id, appId, 'events', { appId, events: matching });
+      }
+    }
+  } catch (err) {
+    console.error('Webhook queue error:', err);
+  }
+};
+
+// Queue an alert firing, inside the caller's transaction
+const queueAlert = async (client, appId, firing) => {
+  const webhooks = (await subscriptions(appId)).filter((webhook) => webhook.send_alerts);
+
+  for (const webhook of webhooks) {
+    await insertDelivery(client, webhook.webhook_id, appId, 'alert', firing);
+  }
+};
+
+// Delay before the next attempt after `attempts` failures, with 10% jitter
+const backoffMs = (attempts) => {
+  const delay = Math.min(BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+};
+
+// POST one delivery; resolves to { ok, statusCode, error }
+const send = async ({ deliveryId, kind, url, secret, payload, createdAt }) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    id: deliveryId,
+    type: kind,
+    createdAt,
+    data: payload,
+  });
+
+  // Webhooks saved before a range was blocked are refused here too
+  if (!ALLOW_PRIVATE && isPrivateHost(new URL(url).hostname)) {
+    return { ok: false, statusCode: null, error: 'url points to a private or loopback address' };
+  }
+
+  try {
+    const statusCode = await post(url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'website-analytics-webhooks/1.0',
+      'X-Webhook-Id': String(deliveryId),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${sign(secret, timestamp, body)}`,
+    }, body);
+    const ok = statusCode >= 200 && statusCode < 300;
+
+    return {
+      ok,
+      statusCode,
+      error: ok ? null : `HTTP ${statusCode}`,
+    };
+  } catch (err) {
+    return { ok: false, statusCode: null, error: String(err.message).slice(0, MAX_ERROR_LENGTH) };
+  }
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  createSecret,
+  sign,
+  validateWebhook,
+  invalidate,
+  queueEvents,
+  queueAlert,
+  backoffMs,
+  send,
+};
@@ -0,0 +1,90 @@
+// Workspaces group users and the apps they manage together. Every member has
+// one role; roles are ordered, so a route that needs 'analyst' also admits
+// admins and owners. An app outside any workspace is managed by its
+// owner_user_id alone, who acts as its owner. Once an app is in a workspace,
+// its creator only has the role their membership gives them.
+//
+//   viewer   read analytics
+//   analyst  + manage funnels and alert rules
+//   admin    + ingest, manage keys, privacy, retention, webhooks, GDPR, invite members
+//   owner    + grant or remove the owner role
+
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const ROLES = ['viewer', 'analyst', 'admin', 'owner'];
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+const hasRole = (role, minimum) => ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The user's role in a workspace, or null when not a member
+const workspaceRole = async (userId, workspaceId) => {
+  const result = await db.query(
+    'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].role : null;
+};
+
+// The app with the user's role on it, or null when the user has no access
+const appAccess = async (userId, appId) => {
+  const result = await db.query(
+    `SELECT a.app_id, a.app_name, a.privacy_mode, a.workspace_id,
+            CASE WHEN a.workspace_id IS NULL AND a.owner_user_id = $2 THEN 'owner' ELSE m.role END AS role
+     FROM apps a
+     LEFT JOIN workspace_members m ON m.workspace_id = a.workspace_id AND m.user_id = $2
+     WHERE a.app_id = $1`,
+    [appId, userId]
+  );
+
+  const app = result.rows[0];
+  return app && app.role ? app : null;
+};
+
+// New invitation token; only its hash is stored
+const createInvitation = async (client, { workspaceId, email, role, invitedBy }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const result = await client.query(
+    `INSERT INTO workspace_invitations (workspace_id, email, role, token_hash, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING invitation_id, email, role, expires_at`,
+    [
+      workspaceId,
+      email,
+      role,
+      hashToken(token),
+      invitedBy,
+      new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    ]
+  );
+
+  return { ...result.rows[0], token };
+};
+
+const recordAudit = (client, { workspaceId, actorUserId, action, targetUserId = null, details = {} }) => client.query(
+  `INSERT INTO audit_log (workspace_id, actor_user_id, action, target_user_id, details)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [workspaceId, actorUserId, action, targetUserId, JSON.stringify(details)]
+);
+
+const countOwners = async (client, workspaceId) => {
+  const result = await client.query(
+    "SELECT COUNT(*) AS owners FROM workspace_members WHERE workspace_id = $1 AND role = 'owner'",
+    [workspaceId]
+  );
+  return Number(result.rows[0].owners);
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashToken,
+  workspaceRole,
+  appAccess,
+  createInvitation,
+  recordAudit,
+  countOwners,
+};